@@ -0,0 +1,52 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+// Content script for the diagnostics page. Reports on tagged URLs come from
+// the add-on through the page-mod worker's port.
+(function () {
+    // `{ url, tag, keyword, title, status, statusLabel, reason }` reports, problems first.
+    let reports = [];
+
+    // Statuses of bookmarks which are in the menu, without any problem.
+    const okStatuses = ["included"];
+
+    /**
+     * @return {void}
+     */
+    function render() {
+        const tbody = document.querySelector("#diagnostics tbody");
+        const problemsOnly = document.getElementById("problems-only").checked;
+        const shown = reports.filter(report => !problemsOnly || okStatuses.indexOf(report.status) === -1);
+
+        tbody.textContent = "";
+
+        shown.forEach(report => {
+            const row = tbody.insertRow();
+
+            row.className = `status-${report.status}`;
+
+            [
+                report.statusLabel,
+                report.title,
+                report.keyword,
+                report.tag,
+                report.url,
+                report.reason,
+            ].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+        });
+
+        document.getElementById("empty").hidden = shown.length > 0;
+    }
+
+    document.getElementById("problems-only").addEventListener("change", render);
+    document.getElementById("refresh").addEventListener("click", () => self.port.emit("refresh"));
+
+    self.port.on("reports", newReports => {
+        reports = newReports;
+        render();
+    });
+}());
@@ -0,0 +1,139 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+// Content script for the search history page. Entries come from the
+// add-on's storage through the page-mod worker's port.
+(function () {
+    // Search history entries, newest first.
+    let entries = [];
+
+    // Localized `targets` labels and `searchAgain` label, from the add-on.
+    let strings = { targets: {}, searchAgain: "" };
+
+    /**
+     * @param  {Object} entry A search history entry.
+     * @param  {String} filter Lower case text to look for.
+     * @return {Boolean} True if the entry's engine, search or page contains the filter text.
+     */
+    function matchesFilter(entry, filter) {
+        return [entry.engine, entry.query, entry.page.url, entry.page.title].
+            some(value => (value || "").toLowerCase().indexOf(filter) !== -1);
+    }
+
+    /**
+     * @return {void}
+     */
+    function render() {
+        const tbody = document.querySelector("#history tbody");
+        const filter = document.getElementById("filter").value.trim().toLowerCase();
+        const shown = entries.filter(entry => matchesFilter(entry, filter));
+
+        tbody.textContent = "";
+
+        shown.forEach(entry => {
+            const row = tbody.insertRow();
+            const rerun = document.createElement("button");
+
+            [
+                new Date(entry.time).toLocaleString(),
+                entry.engine,
+                entry.query,
+                entry.page.title || entry.page.url,
+                strings.targets[entry.target] || entry.target,
+            ].forEach(text => {
+                row.insertCell().textContent = text;
+            });
+
+            row.cells[3].title = entry.page.url;
+
+            rerun.type = "button";
+            rerun.textContent = strings.searchAgain;
+            rerun.addEventListener("click", () => {
+                document.getElementById("status").textContent = "";
+                self.port.emit("rerun", entry);
+            });
+            row.insertCell().appendChild(rerun);
+        });
+
+        document.getElementById("empty").hidden = shown.length > 0;
+    }
+
+    /**
+     * Values which spreadsheets would run as formulas, like a query starting
+     * with "=", are prefixed with "'" so they're shown as text.
+     *
+     * @param  {*} value A field value.
+     * @return {String} The value as a quoted CSV field.
+     */
+    function toCSVField(value) {
+        const text = String(value).replace(/^[=+\-@\t\r]/, "'$&");
+
+        return `"${text.replace(/"/g, "\"\"")}"`;
+    }
+
+    /**
+     * @return {String} The entries as CSV, with a header row.
+     */
+    function toCSV() {
+        const rows = entries.map(entry => [
+            new Date(entry.time).toISOString(),
+            entry.engine,
+            entry.query,
+            entry.page.url,
+            entry.page.title,
+            entry.target,
+        ]);
+
+        return [["time", "engine", "query", "page", "pageTitle", "target"]].concat(rows).
+            map(row => row.map(toCSVField).join(",")).
+            join("\r\n");
+    }
+
+    /**
+     * Save text as a file, through the browser's download handling.
+     *
+     * @param  {String} text File contents.
+     * @param  {String} type MIME type.
+     * @param  {String} name File name.
+     * @return {void}
+     */
+    function download(text, type, name) {
+        const link = document.createElement("a");
+
+        link.href = URL.createObjectURL(new Blob([text], { type }));
+        link.download = name;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+    }
+
+    document.getElementById("filter").addEventListener("input", render);
+
+    document.getElementById("export-json").addEventListener("click", () => {
+        download(JSON.stringify(entries, null, 2), "application/json", "context-search-history.json");
+    });
+
+    document.getElementById("export-csv").addEventListener("click", () => {
+        download(toCSV(), "text/csv", "context-search-history.csv");
+    });
+
+    document.getElementById("clear").addEventListener("click", () => {
+        self.port.emit("clear");
+    });
+
+    self.port.on("entries", newEntries => {
+        entries = newEntries;
+        render();
+    });
+
+    self.port.on("strings", newStrings => {
+        strings = newStrings;
+    });
+
+    self.port.on("rerunFailed", message => {
+        document.getElementById("status").textContent = message;
+    });
+}());
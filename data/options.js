@@ -0,0 +1,191 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+// Content script for the options page. Settings are read from and written
+// to the add-on's preferences through the page-mod worker's port.
+(function () {
+    /**
+     * Send a changed setting to the add-on.
+     *
+     * @param  {String} name Preference name.
+     * @param  {*} value New value.
+     * @return {void}
+     */
+    function setPref(name, value) {
+        self.port.emit("set", { name, value });
+    }
+
+    /**
+     * @param  {String} text A JSON array preference value, possibly empty or invalid.
+     * @return {Array} The array, or an empty one if the value isn't one.
+     */
+    function parseJSONArray(text) {
+        try {
+            const parsed = JSON.parse(text);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    /**
+     * @param  {HTMLElement} element A form control with a `data-pref` attribute.
+     * @param  {*} value The preference's current value.
+     * @return {void}
+     */
+    function bindPref(element, value) {
+        const name = element.dataset.pref;
+
+        if (element.type === "checkbox") {
+            element.checked = value;
+            element.addEventListener("change", () => setPref(name, element.checked));
+            return;
+        }
+
+        element.value = value;
+
+        element.addEventListener("change", () => {
+            if (element.type === "number") {
+                setPref(name, parseInt(element.value, 10) || 0);
+                return;
+            }
+
+            if (element.dataset.json && element.value.trim()) {
+                let parsed;
+                try {
+                    parsed = JSON.parse(element.value);
+                } catch (e) {
+                    parsed = null;
+                }
+
+                const expected = element.dataset.json === "array" ? Array.isArray(parsed) : (parsed && !Array.isArray(parsed));
+
+                element.classList.toggle("invalid", !expected);
+                if (!expected) {
+                    return;
+                }
+            }
+
+            setPref(name, element.dataset.json ? element.value.trim() : element.value);
+        });
+    }
+
+    /**
+     * @param  {Array<Object>} engines Visible built-in engines, as `{ key, name, iconURL }`.
+     * @param  {String} hiddenEngines JSON array of the keys of hidden engines.
+     * @return {void}
+     */
+    function renderEngines(engines, hiddenEngines) {
+        const list = document.getElementById("engines");
+        const hidden = parseJSONArray(hiddenEngines);
+
+        const save = () => {
+            const keys = Array.from(list.querySelectorAll("input:not(:checked)")).map(input => input.value);
+            setPref("hiddenEngines", keys.length > 0 ? JSON.stringify(keys) : "");
+        };
+
+        engines.forEach(engine => {
+            const item = document.createElement("li");
+            const label = document.createElement("label");
+            const checkbox = document.createElement("input");
+            const icon = document.createElement("img");
+
+            checkbox.type = "checkbox";
+            checkbox.value = engine.key;
+            checkbox.checked = hidden.indexOf(engine.key) === -1;
+            checkbox.addEventListener("change", save);
+
+            icon.src = engine.iconURL;
+            icon.alt = "";
+
+            label.appendChild(checkbox);
+            label.appendChild(icon);
+            label.appendChild(document.createTextNode(` ${engine.name}`));
+            item.appendChild(label);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * @param  {String} tagSections JSON array of `{ tag, label, submenu }` sections.
+     * @param  {Object} strings Localized strings, from the add-on.
+     * @return {void}
+     */
+    function renderTagSections(tagSections, strings) {
+        const tbody = document.querySelector("#tag-sections tbody");
+
+        const save = () => {
+            const sections = Array.from(tbody.rows).map(row => ({
+                tag: row.querySelector(".tag").value.trim(),
+                label: row.querySelector(".label").value.trim(),
+                submenu: row.querySelector(".submenu").checked,
+            })).filter(section => section.tag);
+
+            setPref("searchBookmarksTags", sections.length > 0 ? JSON.stringify(sections) : "");
+        };
+
+        const addRow = (section) => {
+            const row = tbody.insertRow();
+
+            row.insertCell().innerHTML = `<input type="text" class="tag">`;
+            row.insertCell().innerHTML = `<input type="text" class="label">`;
+            row.insertCell().innerHTML = `<input type="checkbox" class="submenu">`;
+            row.insertCell().innerHTML = `<button type="button" class="remove"></button>`;
+
+            row.querySelector(".tag").value = section.tag || "";
+            row.querySelector(".label").value = section.label || "";
+            row.querySelector(".submenu").checked = Boolean(section.submenu);
+            row.querySelector(".remove").textContent = strings.remove;
+
+            row.addEventListener("change", save);
+            row.querySelector(".remove").addEventListener("click", () => {
+                row.remove();
+                save();
+            });
+        };
+
+        parseJSONArray(tagSections).filter(section => section && typeof section === "object").forEach(addRow);
+
+        document.getElementById("add-tag-section").addEventListener("click", () => addRow({}));
+    }
+
+    /**
+     * @param  {Object} report Export or import report, as `{ action, done, skipped, summary }`.
+     * @return {void}
+     */
+    function renderOpenSearchReport({ summary: summaryText, skipped, renamed = [] }) {
+        const container = document.getElementById("opensearch-report");
+        const summary = document.createElement("p");
+        const list = document.createElement("ul");
+
+        summary.textContent = summaryText;
+
+        skipped.concat(renamed).forEach(({ name, reason }) => {
+            const item = document.createElement("li");
+            item.textContent = name ? `${name}: ${reason}` : reason;
+            list.appendChild(item);
+        });
+
+        container.textContent = "";
+        container.appendChild(summary);
+        container.appendChild(list);
+    }
+
+    ["export", "import"].forEach(action => {
+        document.getElementById(`${action}-opensearch`).
+            addEventListener("click", () => self.port.emit(`${action}OpenSearch`));
+    });
+
+    self.port.on("openSearchReport", renderOpenSearchReport);
+
+    self.port.on("init", ({ prefs, engines, strings }) => {
+        Array.from(document.querySelectorAll("[data-pref]")).forEach(element => {
+            bindPref(element, prefs[element.dataset.pref]);
+        });
+
+        renderEngines(engines, prefs.hiddenEngines);
+        renderTagSections(prefs.searchBookmarksTags, strings);
+    });
+}());
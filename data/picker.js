@@ -0,0 +1,112 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+// Content script for the engine picker panel. Typing filters the engines by
+// name or keyword; a keyword followed by a space picks its engine at once.
+(function () {
+    const filter = document.getElementById("filter");
+    const list = document.getElementById("items");
+
+    // `{ key, name, iconURL, keyword }` of each engine and keyword bookmark.
+    let items = [];
+
+    // Items matching the filter, in display order.
+    let shown = [];
+
+    let selectedIndex = 0;
+
+    /**
+     * @param  {String} key Key of the picked engine or keyword bookmark.
+     * @return {void}
+     */
+    function pick(key) {
+        self.port.emit("pick", key);
+    }
+
+    /**
+     * @return {void}
+     */
+    function render() {
+        const text = filter.value.trim().toLowerCase();
+
+        // Exact keyword matches first, then the rest in their order.
+        const isKeyword = item => Boolean(text) && item.keyword.toLowerCase() === text;
+        shown = items.filter(isKeyword).concat(items.filter(item => !isKeyword(item) &&
+            (item.name.toLowerCase().indexOf(text) !== -1 || item.keyword.toLowerCase().indexOf(text) !== -1)));
+
+        selectedIndex = Math.min(selectedIndex, Math.max(shown.length - 1, 0));
+
+        list.textContent = "";
+        shown.forEach((item, i) => {
+            const entry = document.createElement("li");
+            const icon = document.createElement("img");
+            const name = document.createElement("span");
+            const keyword = document.createElement("span");
+
+            icon.src = item.iconURL;
+            icon.alt = "";
+            name.className = "name";
+            name.textContent = item.name;
+            keyword.className = "keyword";
+            keyword.textContent = item.keyword;
+
+            entry.setAttribute("role", "option");
+            entry.classList.toggle("selected", i === selectedIndex);
+            entry.appendChild(icon);
+            entry.appendChild(name);
+            entry.appendChild(keyword);
+            entry.addEventListener("click", () => pick(item.key));
+            list.appendChild(entry);
+        });
+    }
+
+    filter.addEventListener("input", () => {
+        const value = filter.value.toLowerCase();
+
+        if (value.endsWith(" ")) {
+            const item = items.find(candidate => candidate.keyword && candidate.keyword.toLowerCase() === value.trim());
+            if (item) {
+                pick(item.key);
+                return;
+            }
+        }
+
+        selectedIndex = 0;
+        render();
+    });
+
+    filter.addEventListener("keydown", event => {
+        switch (event.key) {
+        case "ArrowDown":
+            selectedIndex = Math.min(selectedIndex + 1, shown.length - 1);
+            break;
+        case "ArrowUp":
+            selectedIndex = Math.max(selectedIndex - 1, 0);
+            break;
+        case "Enter":
+            if (shown[selectedIndex]) {
+                pick(shown[selectedIndex].key);
+            }
+            return;
+        case "Escape":
+            self.port.emit("close");
+            return;
+        default:
+            return;
+        }
+
+        event.preventDefault();
+        render();
+    });
+
+    self.port.on("show", ({ items: newItems, text }) => {
+        items = newItems;
+        selectedIndex = 0;
+        filter.value = "";
+        document.getElementById("search-text").textContent = text;
+        render();
+        filter.focus();
+    });
+}());
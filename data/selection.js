@@ -0,0 +1,17 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+"use strict";
+
+// Content script attached to the active tab by `MCS.getSelection`: reports
+// the selected text, and the screen position of its bottom left corner.
+(function () {
+    const selection = getSelection();
+    const rect = selection.rangeCount > 0 ? selection.getRangeAt(0).getBoundingClientRect() : null;
+
+    self.postMessage({
+        text: String(selection),
+        screenX: rect ? window.mozInnerScreenX + rect.left : null,
+        screenY: rect ? window.mozInnerScreenY + rect.bottom : null,
+    });
+}());
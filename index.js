@@ -7,16 +7,37 @@ const { Cc, Ci } = require("chrome");
 const { console } = require("resource://gre/modules/Console.jsm");
 const { Services } = require("resource://gre/modules/Services.jsm");
 const { PlacesUtils } = require("resource://gre/modules/PlacesUtils.jsm");
-const { get: getPref } = require("sdk/preferences/service");
+const { XPCOMUtils } = require("resource://gre/modules/XPCOMUtils.jsm");
+const { OS } = require("resource://gre/modules/osfile.jsm");
+const { get: getPref, set: setPref } = require("sdk/preferences/service");
+const { PrefsTarget } = require("sdk/preferences/event-target");
+const { setTimeout, clearTimeout } = require("sdk/timers");
 const { cache } = require("sdk/lang/functional");
 const tabs = require("sdk/tabs");
+const { storage } = require("sdk/simple-storage");
+const { PageMod } = require("sdk/page-mod");
+const { Panel } = require("sdk/panel");
+const { Hotkey } = require("sdk/hotkeys");
+const clipboard = require("sdk/clipboard");
+const { get: _ } = require("sdk/l10n");
+const { isPrivate } = require("sdk/private-browsing");
+const simplePrefs = require("sdk/simple-prefs");
 const self = require("sdk/self");
 const base64 = require("sdk/base64");
+const createTemplates = require("./lib/templates");
+const createEngines = require("./lib/engines");
+const createBookmarks = require("./lib/bookmarks");
+const createSorting = require("./lib/sorting");
+const createClicks = require("./lib/clicks");
+const createMenu = require("./lib/menu");
+const createDetectors = require("./lib/detectors");
 
 const {
     annotations: pAnnotations,
     bookmarks: pBookmarks,
     favicons: pFavicons,
+    history: pHistory,
+    getCharsetForURI,
     keywords: pKeywords,
     tagging: pTagging,
     promiseFaviconData,
@@ -26,6 +47,29 @@ const { error: logError } = console;
 
 const newStringInputStream = () => Cc["@mozilla.org/io/string-input-stream;1"].createInstance(Ci.nsIStringInputStream);
 const newMIMEInputStream = () => Cc["@mozilla.org/network/mime-input-stream;1"].createInstance(Ci.nsIMIMEInputStream);
+const newDOMParser = () => Cc["@mozilla.org/xmlextras/domparser;1"].createInstance(Ci.nsIDOMParser);
+const newFilePicker = () => Cc["@mozilla.org/filepicker;1"].createInstance(Ci.nsIFilePicker);
+const textToSubURI = Cc["@mozilla.org/intl/texttosuburi;1"].getService(Ci.nsITextToSubURI);
+
+/**
+ * @param  {String} body POST body.
+ * @param  {String} contentType Content type of the body.
+ * @param  {Array<Array>} headers Other headers, as `[name, value]` pairs.
+ * @return {Ci.nsIMIMEInputStream} The POST data stream.
+ */
+const newPostData = (body, contentType, headers) => {
+    // The stream takes bytes; bodies which aren't form-encoded may hold any character.
+    const stringStream = newStringInputStream();
+    stringStream.data = unescape(encodeURIComponent(body));
+
+    const postData = newMIMEInputStream();
+    postData.addHeader("Content-Type", contentType);
+    headers.forEach(([name, value]) => postData.addHeader(name, value));
+    postData.addContentLength = true;
+    postData.setData(stringStream);
+
+    return postData;
+};
 
 // moz-context-search.
 const MCS = {};
@@ -34,14 +78,326 @@ MCS.gContextMenuId = "contentAreaContextMenu";
 MCS.searchSelectId = "context-searchselect";
 MCS.menuId = "mcs-menu";
 MCS.popupId = "mcs-popup";
+MCS.clipboardMenuId = "mcs-clipboard-menu";
+MCS.clipboardPopupId = "mcs-clipboard-popup";
+MCS.previewPanelId = "mcs-preview-panel";
+
+// Size of the preview panel's page, in CSS pixels.
+MCS.previewSize = { width: 480, height: 360 };
+MCS.addSearchId = "mcs-add-search";
+MCS.keywordFieldId = "context-keywordfield";
 MCS.maxPreviewLength = 15;
 
+// Firefox cuts selections to this many characters (not counting leading whitespace) for searching.
+MCS.maxSearchTextLength = 150;
+
+// Defaults of the add-on's preferences, which live under the `${self.id}.` branch.
+// JSON encoded preferences default to an empty string.
+MCS.defaultPrefs = {
+    searchBookmarksTag: "search",
+    searchBookmarksTags: "",
+    maxPreviewLength: MCS.maxPreviewLength,
+    hiddenEngines: "",
+    showSearchSelect: false,
+    menuPlacement: "before-searchselect",
+    clickBehavior: "firefox",
+    clickActions: "",
+    selectionTransforms: "",
+    contentDetectors: "",
+    maxTabsWithoutConfirm: 10,
+    sortOrder: "alphabetical",
+    bookmarkLayout: "flat",
+    bookmarkFolderDepth: 0,
+    engineSettings: "",
+    engineGroups: "",
+    searchHistoryLength: 1000,
+    siteSearch: true,
+    searchHotkey: "accel-alt-s",
+    pickerHotkey: "accel-alt-k",
+};
+
+// Where #mcs-menu can be placed in the context menu, selected by the `menuPlacement` preference.
+MCS.menuPlacements = ["before-searchselect", "after-searchselect", "top", "bottom"];
+
+// Preferences which require the context menus to be rebuilt when they change.
+MCS.windowPrefs = ["menuPlacement"];
+
 // The most recently used search engine.
+// Its key is kept in `storage.mruEngineKey`, which the menu restores it from each time it's shown.
 MCS.mruEngine = null;
 
+// Drag and drop data type used to reorder the popup's engines.
+MCS.engineKeyDataType = "application/x-moz-context-search-engine";
+
+// Keyword bookmarks for the search tag with their favicons resolved, so that
+// the popup can be built synchronously. Kept current by the Places observers.
+MCS.bookmarkCache = {
+    bookmarks: [],
+
+    // Favicon data URIs, by bookmark URL.
+    iconURLs: new Map(),
+
+    // Bumped by each refresh, so a slow refresh can't overwrite a newer one.
+    generation: 0,
+
+    refreshTimer: null,
+};
+
+// Delay before refreshing the bookmark cache, to coalesce bursts of Places notifications.
+MCS.bookmarkCacheRefreshDelay = 250;
+
+// How long to wait for the active tab's selection, in milliseconds.
+MCS.selectionTimeout = 1000;
+
+// Listens for changes to the add-on's preferences.
+MCS.prefs = PrefsTarget({ branchName: `${self.id}.` });
+
+// Contextual identities (containers) aren't available in every Firefox version.
+XPCOMUtils.defineLazyModuleGetter(MCS, "ContextualIdentityService",
+    "resource://gre/modules/ContextualIdentityService.jsm");
+
 // Cached reference to the default favicon URL.
 MCS.getDefaultFavicon = cache(() => pFavicons.defaultFavicon.spec);
 
+/**
+ * @param  {String} name Preference name, relative to the add-on's branch.
+ * @return {*} The preference value, or its default from `MCS.defaultPrefs`.
+ */
+MCS.getAddonPref = function (name) {
+    return getPref(`${self.id}.${name}`, MCS.defaultPrefs[name]);
+};
+
+/**
+ * @param  {*} value A parsed JSON value.
+ * @return {String} Its JSON type: "array", "object", "null", "string", "number" or "boolean".
+ */
+MCS.getJSONType = function (value) {
+    if (Array.isArray(value)) {
+        return "array";
+    }
+
+    return value === null ? "null" : typeof value;
+};
+
+/**
+ * Read a JSON encoded add-on preference.
+ *
+ * @param  {String} name Preference name, relative to the add-on's branch.
+ * @param  {*} defaultValue Value to return when the preference is unset or
+ *                          invalid. Unless it's null, the preference must be of
+ *                          the same JSON type, such as an array.
+ * @return {*} The parsed preference value.
+ */
+MCS.getJSONPref = function (name, defaultValue) {
+    const value = getPref(`${self.id}.${name}`, "");
+    if (!value) {
+        return defaultValue;
+    }
+
+    let parsed;
+    try {
+        parsed = JSON.parse(value);
+    } catch (e) {
+        console.error(`getJSONPref - invalid JSON in ${self.id}.${name}`, e);
+        return defaultValue;
+    }
+
+    const expectedType = MCS.getJSONType(defaultValue);
+    if (defaultValue !== null && MCS.getJSONType(parsed) !== expectedType) {
+        console.error(`getJSONPref - ${self.id}.${name} isn't a JSON ${expectedType}`);
+        return defaultValue;
+    }
+
+    return parsed;
+};
+
+// Add-on preferences, as `lib/` modules read them.
+MCS.addonPrefs = {
+    get: name => MCS.getAddonPref(name),
+    getJSON: (name, defaultValue) => MCS.getJSONPref(name, defaultValue),
+    getBrowserPref: getPref,
+};
+
+// Bookmark access for `lib/bookmarks`.
+MCS.places = {
+    newURI: spec => Services.io.newURI(spec),
+    getBookmarkIds: uri => pBookmarks.getBookmarkIdsForURI(uri).filter(id =>
+        pBookmarks.getItemType(id) === Ci.nsINavBookmarksService.TYPE_BOOKMARK),
+    getItemTitle: id => pBookmarks.getItemTitle(id),
+    getItemDescription: id => (pAnnotations.itemHasAnnotation(id, "bookmarkProperties/description") ?
+        pAnnotations.getItemAnnotation(id, "bookmarkProperties/description") : ""),
+    getFolderId: id => pBookmarks.getFolderIdForItem(id),
+    get rootFolderId() {
+        return pBookmarks.placesRoot;
+    },
+};
+
+// The browser-independent parts of the add-on live in `lib/`, and are merged into `MCS`.
+(() => {
+    const templates = createTemplates({
+        l10n: _,
+        convertAndEscape: (charset, value) => textToSubURI.ConvertAndEscape(charset, value),
+        console,
+    });
+
+    const engines = createEngines({
+        prefs: MCS.addonPrefs,
+        templates,
+        newURI: (spec, charset) => Services.io.newURI(spec, charset),
+        newPostData,
+        console,
+    });
+
+    const sorting = createSorting({ prefs: MCS.addonPrefs, storage, now: Date.now, console });
+    const clicks = createClicks({ prefs: MCS.addonPrefs, engines, console });
+
+    const menu = createMenu({
+        contextMenuId: MCS.gContextMenuId,
+        engines,
+        clicks,
+        sorting,
+        actions: {
+            getMruEngine: () => MCS.mruEngine,
+            getPageInfo: gContextMenu => MCS.getPageInfo(gContextMenu),
+            confirmOpeningTabs: (window, count) => MCS.confirmOpeningTabs(window, count),
+            searchWithEngine: options => MCS.searchWithEngine(options),
+            logSearch: options => MCS.logSearch(options),
+            openSearch: options => MCS.openSearch(options),
+            getUserContextId: (window, key) => MCS.getUserContextId(window, key),
+        },
+        console,
+    });
+
+    const detectors = createDetectors({ prefs: MCS.addonPrefs, l10n: _, console });
+
+    Object.assign(MCS, templates, engines, sorting, clicks, menu, detectors, createBookmarks({
+        places: MCS.places,
+        templates,
+        l10n: _,
+        console,
+    }));
+})();
+
+/**
+ * Collect the texts that can be searched for the context menu's target,
+ * keyed by search context. Contexts that don't apply are left out.
+ *
+ * @param  {Object} gContextMenu The window's nsContextMenu instance.
+ * @return {Object} Map of search context to text.
+ */
+MCS.getContextTexts = function (gContextMenu) {
+    const texts = {};
+
+    const isSomethingSelected = (
+        gContextMenu.isTextSelected ||
+        gContextMenu.isContentSelected ||
+        gContextMenu.textSelected.length > 0
+    );
+
+    if (isSomethingSelected && gContextMenu.textSelected) {
+        texts.selection = gContextMenu.textSelected;
+    }
+
+    // In a text field with nothing selected, the word at the caret stands in for the selection.
+    // `field` isn't a search context; the whole field is offered in its own submenu.
+    const field = isSomethingSelected ? null : MCS.getFieldText(gContextMenu);
+    if (field) {
+        texts.field = MCS.limitSearchText(field.value);
+        texts.selection = MCS.getWordAt(field.value, field.caret) || texts.field;
+    }
+
+    if (gContextMenu.onLink) {
+        texts.link = gContextMenu.linkURL;
+        texts.linkText = gContextMenu.linkTextStr || "";
+    }
+
+    if (gContextMenu.onImage) {
+        texts.image = gContextMenu.mediaURL;
+    }
+
+    const onPageBackground = !(
+        isSomethingSelected ||
+        gContextMenu.onLink ||
+        gContextMenu.onImage ||
+        gContextMenu.onTextInput ||
+        gContextMenu.onVideo ||
+        gContextMenu.onAudio ||
+        gContextMenu.onCanvas
+    );
+
+    if (onPageBackground && gContextMenu.browser) {
+        texts.page = gContextMenu.browser.currentURI.spec;
+        texts.pageTitle = gContextMenu.browser.contentTitle || "";
+    }
+
+    // Drop contexts which turned out to have nothing to search.
+    Object.keys(texts).forEach(context => {
+        if (!texts[context]) {
+            delete texts[context];
+        }
+    });
+
+    return texts;
+};
+
+/**
+ * @param  {Object} gContextMenu The window's nsContextMenu instance.
+ * @return {Object|null} The `value` of the text field the context menu was
+ *                       opened on, and the `caret` position, or null if it
+ *                       wasn't opened on a (non-password) text field.
+ */
+MCS.getFieldText = function (gContextMenu) {
+    if (!gContextMenu.onTextInput) {
+        return null;
+    }
+
+    try {
+        const target = gContextMenu.target;
+
+        // Editable elements other than inputs and textareas have no value.
+        if (!target || target.type === "password" || typeof target.value !== "string") {
+            return null;
+        }
+
+        let caret = target.value.length;
+        try {
+            caret = target.selectionStart;
+        } catch (e) {
+            // Inputs like type="email" have no caret position.
+        }
+
+        return { value: target.value, caret };
+    } catch (e) {
+        console.warn("getFieldText - can't read the field", e);
+        return null;
+    }
+};
+
+/**
+ * @param  {String} text Text.
+ * @param  {Number} position Offset in the text.
+ * @return {String} The whitespace separated word at, or just before, the position.
+ */
+MCS.getWordAt = function (text, position) {
+    const before = /\S*$/.exec(text.slice(0, position))[0];
+    const after = /^\S*/.exec(text.slice(position))[0];
+
+    return before + after;
+};
+
+/**
+ * Cut text from outside the selection, like a text field's or the clipboard's,
+ * the way Firefox cuts selections for searching.
+ *
+ * @param  {String} text Text to search.
+ * @return {String} The text, cut after `MCS.maxSearchTextLength` characters, with whitespace collapsed.
+ */
+MCS.limitSearchText = function (text) {
+    const match = new RegExp(`^(?:\\s*.){0,${MCS.maxSearchTextLength}}`).exec(text);
+
+    return match[0].trim().replace(/\s+/g, " ");
+};
+
 // Handler for newly opened windows.
 MCS.windowListener = {
     onWindowTitleChange() {},
@@ -106,7 +462,49 @@ MCS.initWindow = function (window) {
     // mcsMenu.addEventListener("mousedown", MCS.onMenuClicked, false);
     // contextMenu.addEventListener("mousedown", MCS.onMenuClicked, false);
 
-    contextMenu.insertBefore(mcsMenu, searchSelect);
+    // Allow reordering the engines by dragging them.
+    mcsPopup.addEventListener("dragstart", MCS.onEngineDragStart, false);
+    mcsPopup.addEventListener("dragover", MCS.onEngineDragOver, false);
+    mcsPopup.addEventListener("drop", MCS.onEngineDrop, false);
+
+    switch (MCS.getAddonPref("menuPlacement")) {
+    case "after-searchselect":
+        contextMenu.insertBefore(mcsMenu, searchSelect.nextSibling);
+        break;
+    case "top":
+        contextMenu.insertBefore(mcsMenu, contextMenu.firstChild);
+        break;
+    case "bottom":
+        contextMenu.appendChild(mcsMenu);
+        break;
+    default:
+        contextMenu.insertBefore(mcsMenu, searchSelect);
+        break;
+    }
+
+    // Searches the clipboard, when nothing is selected.
+    const clipboardMenu = document.createElement("menu");
+    clipboardMenu.setAttribute("id", MCS.clipboardMenuId);
+    clipboardMenu.setAttribute("label", _("search_clipboard_with"));
+    clipboardMenu.setAttribute("hidden", "true");
+    clipboardMenu.addEventListener("click", MCS.onMenuClicked, false);
+
+    const clipboardPopup = document.createElement("menupopup");
+    clipboardPopup.setAttribute("id", MCS.clipboardPopupId);
+    clipboardMenu.appendChild(clipboardPopup);
+
+    contextMenu.insertBefore(clipboardMenu, mcsMenu.nextSibling);
+
+    // Offered on search fields, next to Firefox's "Add a Keyword for this Search…".
+    const addSearch = document.createElement("menuitem");
+    addSearch.setAttribute("id", MCS.addSearchId);
+    addSearch.setAttribute("label", _("add_as_context_search"));
+    addSearch.setAttribute("hidden", "true");
+    addSearch.addEventListener("command", MCS.onAddSearchCommand, false);
+
+    const keywordField = document.getElementById(MCS.keywordFieldId);
+    contextMenu.insertBefore(addSearch, keywordField ? keywordField.nextSibling : searchSelect);
+
     contextMenu.addEventListener("popupshowing", MCS.onPopupShowing, false);
     contextMenu.addEventListener("popupshown", MCS.onPopupShown, false);
 };
@@ -136,6 +534,20 @@ MCS.uninitWindow = function (window) {
     }
 
     contextMenu.removeChild(mcsMenu);
+
+    const previewPanel = document.getElementById(MCS.previewPanelId);
+    if (previewPanel) {
+        previewPanel.hidePopup();
+        previewPanel.parentNode.removeChild(previewPanel);
+    }
+
+    [MCS.addSearchId, MCS.clipboardMenuId].forEach(id => {
+        const element = document.getElementById(id);
+        if (element) {
+            contextMenu.removeChild(element);
+        }
+    });
+
     contextMenu.removeEventListener("popupshowing", MCS.onPopupShowing, false);
     contextMenu.removeEventListener("popupshown", MCS.onPopupShown, false);
 };
@@ -148,6 +560,18 @@ MCS.uninitWindow = function (window) {
  */
 MCS.onPopupShowing = function (event) {
     console.info("onPopupShowing", Object.prototype.toString.call(event));
+
+    // Ignore submenus opening.
+    if (event.target.id !== MCS.gContextMenuId) {
+        return;
+    }
+
+    const { gContextMenu, document } = event.view;
+    const addSearch = document.getElementById(MCS.addSearchId);
+
+    if (gContextMenu && addSearch) {
+        addSearch.hidden = !(gContextMenu.onKeywordField && MCS.getSearchTagSections().length > 0);
+    }
 };
 
 /**
@@ -157,14 +581,10 @@ MCS.onPopupShowing = function (event) {
  * @return {void}
  */
 MCS.onPopupShown = function (event) {
-    /*
-    const targetId = event.originalTarget ? event.originalTarget.id : event.target.id;
-    // if (!targetId || targetId !== MCS.gContextMenuId) {
-    if (!targetId || targetId !== MCS.popupId) {
-        console.warn(`onPopupShown - event not from #${MCS.popupId}`, targetId);
+    // Ignore submenus opening: rebuilding the popups would remove the menu whose popup is opening.
+    if (event.target.id !== MCS.gContextMenuId) {
         return;
     }
-    */
 
     const window = event.view;
     if (!window) {
@@ -172,7 +592,7 @@ MCS.onPopupShown = function (event) {
         return;
     }
 
-    const { document, gContextMenu } = window;
+    const { gContextMenu } = window;
 
     if (!gContextMenu) {
         console.warn("onPopupShown - missing window.gContextMenu");
@@ -197,457 +617,2532 @@ MCS.onPopupShown = function (event) {
         return;
     }
 
-    const isSomethingSelected = (
-        gContextMenu.isTextSelected ||
-        gContextMenu.isContentSelected ||
-        gContextMenu.textSelected.length > 0
-    );
+    const contextTexts = MCS.getContextTexts(gContextMenu);
 
-    // Always hide the default #context-searchselect, since this replaces it.
-    searchSelect.setAttribute("hidden", searchSelect.getAttribute("hidden") || true);
+    // Hide the default #context-searchselect, since this replaces it, unless asked to keep it.
+    if (!MCS.getAddonPref("showSearchSelect")) {
+        searchSelect.setAttribute("hidden", searchSelect.getAttribute("hidden") || true);
+    }
 
-    // Hide the menu if nothing is selected.
-    mcsMenu.setAttribute("hidden", !isSomethingSelected);
+    // Hide the menu until an engine that applies to the current target is found.
+    mcsMenu.setAttribute("hidden", true);
+    mcsMenu.engine = null;
 
     // Empty the current popup menu.
     while (mcsPopup.children.length > 0) {
         mcsPopup.removeChild(mcsPopup.lastChild);
     }
 
-    // @var {Array}
-    const engines = Services.search.getVisibleEngines();
-    if (!engines) {
-        console.warn("onPopupShown - Services.search.getVisibleEngines() failed.", engines);
-        // Don't return here since the default / most recent engine may still be available.
-    }
+    const engines = MCS.getAvailableEngines();
+    const page = MCS.getPageInfo(gContextMenu);
 
-    // Update the most recently used engine.
-    MCS.mruEngine = MCS.mruEngine || Services.search.defaultEngine;
-
-    // If the default engine is not one of the currently available engines, reset it to the default.
-    if (engines.indexOf(MCS.mruEngine) === -1) {
-        MCS.mruEngine = Services.search.defaultEngine;
-    }
+    MCS.mruEngine = MCS.restoreMruEngine(engines, page);
 
     if (!MCS.mruEngine || !MCS.mruEngine.name) {
         console.warn("onPopupShown - no mruEngine", MCS.mruEngine);
         return;
     }
 
-    if (!isSomethingSelected) {
-        console.info("onPopupShown - nothing selected");
-        return;
-    }
+    // Keyword bookmarks come from the cache, which is kept current in the background.
+    const bookmarks = MCS.sortEngines(
+        MCS.bookmarkCache.bookmarks.slice(),
+        MCS.getBookmarkKey,
+        bookmark => bookmark.title
+    );
 
-    const searchText = gContextMenu.textSelected;
-    if (!searchText) {
-        console.warn("onPopupShown - missing selected text", searchText);
-        return;
-    }
+    const sortedEngines = MCS.sortEngines(engines.slice(), MCS.getEngineKey, engine => engine.name);
 
-    const ellipsis = gContextMenu.ellipsis || "…";
+    // Only rebuilt with the context menu, not when #mcs-clipboard-popup itself opens.
+    MCS.updateClipboardMenu({ document: window.document, contextTexts, engines: sortedEngines, bookmarks, page });
 
-    const previewText = (searchText.length > MCS.maxPreviewLength
-        ? searchText.slice(0, MCS.maxPreviewLength) + ellipsis
-        : searchText);
+    if (Object.keys(contextTexts).length === 0) {
+        console.info("onPopupShown - nothing to search");
+        return;
+    }
 
-    console.log("onPopupShown - got text", { searchText, previewText });
+    console.log("onPopupShown - got texts", contextTexts);
 
-    let menulabel,
-        accesskey;
-    try {
-        // This now seems to work in e10s.
-        const gNavigatorBundle = window.document.getElementById("bundle_browser");
-        menulabel = gNavigatorBundle.getFormattedString("contextMenuSearch", [MCS.mruEngine.name, previewText]);
-        accesskey = gNavigatorBundle.getString("contextMenuSearch.accesskey");
-    } catch (e) {
-        console.error(e);
+    const { menuSearch, engineSearches } = MCS.getMenuModel({
+        engines: sortedEngines,
+        mruEngine: MCS.mruEngine,
+        contextTexts,
+    });
 
-        menulabel = `Search ${MCS.mruEngine.name} for "${previewText}"`;
-        accesskey = "S";
+    if (menuSearch) {
+        MCS.updateSearchMenu({ menu: mcsMenu, engine: menuSearch.engine, searchText: menuSearch.searchText });
     }
 
-    console.log("onPopupShown - updating menu", { menulabel, accesskey, searchText });
+    // Repopulate the popup menu, starting with suggestions for recognized selections.
+    MCS.addContentSuggestionMenuitems({
+        contentTypes: MCS.detectContentTypes(contextTexts.selection),
+        engines: sortedEngines,
+        bookmarks,
+        contextTexts,
+        page,
+        menupopup: mcsPopup,
+    });
 
-    mcsMenu.setAttribute("label", menulabel);
-    mcsMenu.setAttribute("image", MCS.mruEngine.iconURI ? MCS.mruEngine.iconURI.spec : "");
-    mcsMenu.setAttribute("accesskey", accesskey);
-    mcsMenu.setAttribute("searchtext", searchText);
+    engineSearches.forEach(({ engine, searchText, searchContext }) => {
+        MCS.addEngineMenuitem({ engine, searchText, searchContext, menupopup: mcsPopup });
+    });
 
-    // Repopulate the popup menu.
-    engines.forEach(engine => {
-        const menuitem = document.createElement("menuitem");
-        menuitem.setAttribute("label", engine.name);
-        menuitem.setAttribute("class", "menuitem-iconic");
-        menuitem.setAttribute("image", engine.iconURI ? engine.iconURI.spec : "");
-        menuitem.setAttribute("searchtext", searchText);
-        menuitem.setAttribute("tooltiptext", engine.description || "");
-        // menuitem.setAttribute("accesskey", engine.name.slice(0, 1));
+    const menuitems = MCS.addKeywordBookmarkSections({
+        sections: MCS.getSearchTagSections(),
+        bookmarks,
+        contextTexts,
+        page,
+        menupopup: mcsPopup,
+    });
 
-        menuitem.engine = engine;
+    // No built-in engine applies here, so fall back to the first keyword bookmark that does.
+    if (!mcsMenu.engine && menuitems.length > 0) {
+        MCS.updateSearchMenu({
+            menu: mcsMenu,
+            engine: menuitems[0].engine,
+            searchText: menuitems[0].getAttribute("searchtext"),
+        });
+    }
 
-        mcsPopup.appendChild(menuitem);
+    MCS.addEngineGroupMenuitems({
+        groups: MCS.getJSONPref("engineGroups", []).filter(group => group && Array.isArray(group.engines)),
+        bookmarks,
+        contextTexts,
+        page,
+        menupopup: mcsPopup,
     });
 
-    const searchBookmarkTag = getPref(`${self.id}.searchBookmarksTag`, "search");
-    if (!searchBookmarkTag) {
-        // Custom search tag is set to empty string - do not add bookmarked searches.
-        return;
-    }
+    MCS.addEachLineMenu({
+        lines: MCS.getSelectionLines(gContextMenu, contextTexts),
+        engines: sortedEngines,
+        bookmarks,
+        page,
+        menupopup: mcsPopup,
+    });
 
-    // add a separator between the standard engines and the bookmark search engines.
-    const prependSeparator = engines.length > 0;
+    MCS.addSiteSearchMenu({
+        engines: sortedEngines,
+        bookmarks,
+        contextTexts,
+        page,
+        menupopup: mcsPopup,
+    });
 
-    MCS.getKeywordBookmarksForTag(searchBookmarkTag).
-        then(keywordResults => MCS.keywordResultsToBookmarks(keywordResults)).
-        then(bookmarks => MCS.promiseAllBookmarksWithFavicons(bookmarks)).
-        then(bookmarks => MCS.sortBookmarksByTitle(bookmarks)).
-        then(bookmarks => {
-            MCS.addKeywordBookmarksMenuitems({
-                bookmarks,
-                searchText,
-                prependSeparator,
-                menupopup: mcsPopup,
-            });
-        }).catch(logError);
+    // Unless the field is a single word, which is already searched.
+    MCS.addTextSearchMenu({
+        label: _("search_whole_field"),
+        text: contextTexts.field === contextTexts.selection ? "" : contextTexts.field,
+        engines: sortedEngines,
+        bookmarks,
+        page,
+        menupopup: mcsPopup,
+    });
 };
 
 /**
- * A menuitem has been clicked.
+ * Add a submenu searching the current page's site, with each engine and
+ * keyword bookmark that has a `siteScope` setting.
  *
- * @param  {Event} event The "click" event object.
- * @return {void}
+ * @param {Array<Ci.nsISearchEngine>} options.engines Built-in engines, in display order
+ * @param {Array<Object>} options.bookmarks Bookmark objects, in display order
+ * @param {Object} options.contextTexts Map of search context to text, from `MCS.getContextTexts`
+ * @param {Object} options.page Page the search is made from, from `MCS.getPageInfo`
+ * @param {XULElement} options.menupopup Menupopup element to add the submenu to
+ * @return {XULElement|null} The submenu, or null if the page has no host or no engine applies.
  */
-MCS.onMenuClicked = function (event) {
-    let whereToOpen = "tab",
-        inBackground = false;
-    if (event.button === Ci.nsIDOMWindowUtils.MOUSE_BUTTON_MIDDLE_BUTTON) {
-        // middle click: always open in a new foreground tab.
-        whereToOpen = "tab";
-    } else if (event.button === Ci.nsIDOMWindowUtils.MOUSE_BUTTON_RIGHT_BUTTON) {
-        // right click: always load in the current tab.
-        whereToOpen = "current";
-    } else if (event.button === Ci.nsIDOMWindowUtils.MOUSE_BUTTON_LEFT_BUTTON) {
-        if (event.shiftKey) {
-            // shift+left click: open in a new window.
-            whereToOpen = "window";
-        } else if (event.ctrlKey) {
-            // ctrl+left click: always use a new foreground tab.
-            whereToOpen = "tab";
-        } else if (getPref("browser.search.context.loadInBackground", false)) {
-            // left-click, no special modifiers = adhere to Firefox default pref.
-            whereToOpen = "tabshifted";
-            inBackground = true;
-        }
-    } else {
-        // Not left, middle or right click. Ignore.
-        return;
+MCS.addSiteSearchMenu = function ({ engines, bookmarks, contextTexts, page, menupopup }) {
+    if (!page.host || !MCS.getAddonPref("siteSearch")) {
+        return null;
     }
 
-    // @see <https://dxr.mozilla.org/mozilla-beta/source/browser/modules/ContentSearch.jsm>
-    // let whereToOpen = window.whereToOpenLink(event);
-    // if (whereToOpen !== "current" && Services.prefs.getBoolPref("browser.tabs.loadInBackground")) {
-    //     whereToOpen = "tabshifted";
-    // }
+    const { ownerDocument: document } = menupopup;
 
-    const window = event.view;
-    if (!window) {
-        console.warn("onMenuClicked - missing window (event.view)");
-        return;
-    }
+    const candidates = engines.map(engine => ({ engine, key: MCS.getEngineKey(engine) })).
+        concat(bookmarks.map(bookmark => ({
+            engine: MCS.createBookmarkEngine(bookmark, page),
+            key: MCS.getBookmarkKey(bookmark),
+        })));
 
-    const { document } = window;
+    const popup = document.createElement("menupopup");
 
-    const contextMenu = document.getElementById(MCS.gContextMenuId);
-    if (!contextMenu) {
-        console.warn(`onMenuClicked - missing #${MCS.gContextMenuId}`);
-        return;
-    }
+    candidates.forEach(({ engine, key }) => {
+        const { siteScope } = MCS.getEngineSettings(key);
+        const search = siteScope && MCS.getSearchTextForEngine(key, contextTexts);
+        if (!search) {
+            return;
+        }
 
-    // @var {Ci.nsISearchEngine}
-    const engine = event.target.engine || MCS.mruEngine;
-    if (!engine) {
-        console.warn("onMenuClicked - missing engine");
-        return;
-    }
+        const menuitem = MCS.addEngineMenuitem({
+            engine: MCS.createSiteScopedEngine(engine, page.host, siteScope),
+            searchText: search.text,
+            searchContext: search.context,
+            menupopup: popup,
+        });
 
-    const searchText = event.target.getAttribute("searchtext");
-    if (!searchText) {
-        console.warn("onMenuClicked - missing [searchtext]");
-        return;
-    }
+        // Keep these out of drag and drop reordering.
+        menuitem.removeAttribute("enginekey");
+    });
 
-    // @var {Ci.nsISearchSubmission}
-    const submission = engine.getSubmission(searchText, null, "contextmenu");
-    if (!submission) {
-        console.warn("onMenuClicked - failed to get submission");
-        return;
-    }
-    if (!submission.uri || !submission.uri.spec) {
-        console.warn("onMenuClicked - missing submission.uri.spec", submission);
-        return;
+    if (popup.children.length === 0) {
+        return null;
     }
 
-    // Hide the context menu before executing the search.
-    // @see <https://hg.mozilla.org/mozilla-central/rev/b71e68e61a23>
-    // contextMenu.hidden = true;
-    contextMenu.hidePopup();
-
-    // Update the most recent engine
-    MCS.mruEngine = engine;
-
-    const searchURI = submission.uri.spec;
-    const postData = submission.postData;
+    const menu = document.createElement("menu");
+    menu.setAttribute("label", _("search_this_site", page.host));
+    menu.appendChild(popup);
 
-    console.log("onMenuClicked - opening link.", { searchText, searchURI, postData, whereToOpen });
+    menupopup.appendChild(document.createElement("menuseparator"));
+    menupopup.appendChild(menu);
 
-    try {
-        window.openLinkIn(searchURI, whereToOpen, {
-            relatedToCurrent: true,
-            charset: "UTF-8",
-            postData,
-            inBackground,
-            referrerURI: "",
-            referrerPolicy: Ci.nsIHttpChannel.REFERRER_POLICY_NO_REFERRER,
-            noReferrer: true,
-            // private: false,
-            // skipTabAnimation: true,
-            // allowPinnedTabHostChange: true,
-            // userContextId: null,
-            // indicateErrorPageLoad: false,
-            // originPrincipal: null,
-            // forceAboutBlankViewerInCurrent: false,
-            // isContentWindowPrivate: false,
-        });
-    } catch (e) {
-        console.error(e);
-    }
+    return menu;
 };
 
 /**
- * Resolve bookmark information for each keyword search result.
+ * Wrap an engine so its searches are restricted to a site.
  *
- * @param  {Array<Object>} keywordResults Array of keyword search result objects.
- * @return {Array<Object>} Array of keyword result objects.
+ * @param  {Object} engine A built-in engine, or a keyword bookmark's fake engine.
+ * @param  {String} host Host of the site.
+ * @param  {String|Object} siteScope An operator put before the host in the
+ *                                   search text, such as `"site:"`, or
+ *                                   `{ param }` to add the host to the URL
+ *                                   as that query parameter.
+ * @return {Object} The fake engine, with the same key as the engine.
  */
-MCS.keywordResultsToBookmarks = function (keywordResults) {
-    return keywordResults.map(MCS.keywordResultToBookmark).filter(Boolean);
+MCS.createSiteScopedEngine = function (engine, host, siteScope) {
+    const param = typeof siteScope === "object" ? siteScope.param : null;
+
+    return {
+        key: MCS.getEngineKey(engine),
+        name: engine.name,
+        iconURI: engine.iconURI,
+        description: engine.description,
+        charset: engine.charset,
+        getSubmission: (searchText, responseType, purpose) => {
+            if (!param) {
+                return engine.getSubmission(`${siteScope}${host} ${searchText}`, responseType, purpose);
+            }
+
+            const submission = engine.getSubmission(searchText, responseType, purpose);
+            if (!submission) {
+                return submission;
+            }
+
+            const [spec, hash] = submission.uri.spec.split(/(#.*)/);
+            const query = `${encodeURIComponent(param)}=${encodeURIComponent(host)}`;
+            const uri = Services.io.newURI(`${spec}${spec.indexOf("?") === -1 ? "?" : "&"}${query}${hash || ""}`);
+
+            return { uri, postData: submission.postData };
+        },
+    };
 };
 
 /**
- * Resolve bookmark information for the keyword search result.
+ * Add a menuitem searching the text, as if it was selected, for each engine
+ * and keyword bookmark that searches selections.
  *
- * @param  {Object} keywordResult Keyword search result object.
- * @return {Object|null} Bookmark object with keyword result data, or null if invalid.
+ * @param {String} options.text Text to search
+ * @param {Array<Ci.nsISearchEngine>} options.engines Built-in engines, in display order
+ * @param {Array<Object>} options.bookmarks Bookmark objects, in display order
+ * @param {Object} options.page Page the search is made from, from `MCS.getPageInfo`
+ * @param {XULElement} options.menupopup Menupopup element to populate
+ * @return {Array<XULElement>} The menuitems which were added.
  */
-MCS.keywordResultToBookmark = function (keywordResult) {
-    const keyword = keywordResult.keyword;
-    const url = keywordResult.url.href;
+MCS.addTextSearchMenuitems = function ({ text, engines, bookmarks, page, menupopup }) {
+    const contextTexts = { selection: text };
 
-    const postData = keywordResult.postData ? decodeURIComponent(keywordResult.postData) : "";
+    const engineMenuitems = engines.map(engine => {
+        const search = MCS.getSearchTextForEngine(MCS.getEngineKey(engine), contextTexts);
 
-    // only keep those which have a search param (`%s`), not shortcut bookmarks.
-    if (!(/%s/.test(url) || /%s/.test(postData))) {
-        return null;
-    }
+        return search && MCS.addEngineMenuitem({
+            engine,
+            searchText: search.text,
+            searchContext: search.context,
+            menupopup,
+        });
+    });
 
-    const uri = Services.io.newURI(url);
-    const bookmarkIds = pBookmarks.getBookmarkIdsForURI(uri);
+    const bookmarkMenuitems = bookmarks.map(bookmark => {
+        const search = MCS.getSearchTextForEngine(MCS.getBookmarkKey(bookmark), contextTexts);
 
-    let description = "";
+        return search && MCS.addKeywordBookmarkMenuitem({
+            bookmark,
+            searchText: search.text,
+            searchContext: search.context,
+            page,
+            menupopup,
+        });
+    });
 
-    let bookmarkId = null;
-    if (bookmarkIds.length > 0) {
-        // if it's bookmarked multiple times, just take the first URI one since
-        // there's no way to associate {tag} <=> {bookmark} <=> {keyword}
-        bookmarkId = bookmarkIds.find(id =>
-            pBookmarks.getItemType(id) === Ci.nsINavBookmarksService.TYPE_BOOKMARK);
-    }
+    return engineMenuitems.concat(bookmarkMenuitems).filter(Boolean);
+};
 
-    if (!bookmarkId) {
+/**
+ * Add a labelled submenu searching the text, after a separator.
+ *
+ * @param {String} options.label Label of the submenu
+ * @param {String} options.text Text to search; nothing is added if it's empty
+ * @param {Array<Ci.nsISearchEngine>} options.engines Built-in engines, in display order
+ * @param {Array<Object>} options.bookmarks Bookmark objects, in display order
+ * @param {Object} options.page Page the search is made from, from `MCS.getPageInfo`
+ * @param {XULElement} options.menupopup Menupopup element to add the submenu to
+ * @return {XULElement|null} The submenu, or null if no engine searches the text.
+ */
+MCS.addTextSearchMenu = function ({ label, text, engines, bookmarks, page, menupopup }) {
+    if (!text) {
         return null;
     }
 
-    // const annotations = PlacesUtils.getAnnotationsForItem(bookmarkId);
-    // const description = (annotations.find(a => a.name === "bookmarkProperties/description") || {}).value || "";
+    const { ownerDocument: document } = menupopup;
 
-    if (pAnnotations.itemHasAnnotation(bookmarkId, "bookmarkProperties/description")) {
-        description = pAnnotations.getItemAnnotation(bookmarkId, "bookmarkProperties/description");
+    const popup = document.createElement("menupopup");
+    if (MCS.addTextSearchMenuitems({ text, engines, bookmarks, page, menupopup: popup }).length === 0) {
+        return null;
     }
 
-    const title = pBookmarks.getItemTitle(bookmarkId);
-    // const bookmarkURI = pBookmarks.getBookmarkURI(bookmarkId);
+    const menu = document.createElement("menu");
+    menu.setAttribute("label", label);
+    menu.setAttribute("tooltiptext", text);
+    menu.appendChild(popup);
 
-    const bookmark = {
-        id: bookmarkId,
-        description,
-        title,
-        url,
-        keyword,
-        iconURL: "",
-        postData,
-    };
+    menupopup.appendChild(document.createElement("menuseparator"));
+    menupopup.appendChild(menu);
 
-    return bookmark;
+    return menu;
 };
 
 /**
- * Fetch each favicon url into each bookmark object.
+ * Show #mcs-clipboard-menu, searching the clipboard's text, when nothing is selected.
  *
- * @param  {Array<Object>} bookmarks Array of bookmark objects.
- * @return {Promise} A promise that resolves with an array of the bookmark objects with their favicon data added.
+ * @param {XULDocument} options.document The browser window's document
+ * @param {Object} options.contextTexts Map of search context to text, from `MCS.getContextTexts`
+ * @param {Array<Ci.nsISearchEngine>} options.engines Built-in engines, in display order
+ * @param {Array<Object>} options.bookmarks Bookmark objects, in display order
+ * @param {Object} options.page Page the search is made from, from `MCS.getPageInfo`
+ * @return {void}
  */
-MCS.promiseAllBookmarksWithFavicons = function (bookmarks) {
-    // @var {Array<Promise>}
-    const resolvingFavicons = bookmarks.map(MCS.resolveBookmarkFavicon);
+MCS.updateClipboardMenu = function ({ document, contextTexts, engines, bookmarks, page }) {
+    const menu = document.getElementById(MCS.clipboardMenuId);
+    const popup = document.getElementById(MCS.clipboardPopupId);
+    if (!menu || !popup) {
+        console.warn(`updateClipboardMenu - missing #${MCS.clipboardMenuId}`);
+        return;
+    }
+
+    menu.hidden = true;
+    while (popup.children.length > 0) {
+        popup.removeChild(popup.lastChild);
+    }
+
+    // The word at a text field's caret doesn't count as selected.
+    if (contextTexts.selection && !contextTexts.field) {
+        return;
+    }
+
+    const text = MCS.limitSearchText(clipboard.get("text") || "");
+    if (!text) {
+        return;
+    }
+
+    const menuitems = MCS.addTextSearchMenuitems({ text, engines, bookmarks, page, menupopup: popup });
+
+    menu.setAttribute("tooltiptext", text);
+    menu.hidden = menuitems.length === 0;
+};
+
+/**
+ * Restore the most recently used engine from its key, `storage.mruEngineKey`:
+ * the engine last searched with may have been a keyword bookmark's, or
+ * restricted to a site. Built-in engines which have since been hidden are
+ * replaced by the default engine.
+ *
+ * @param  {Array<Ci.nsISearchEngine>} engines Available built-in engines, from `MCS.getAvailableEngines`.
+ * @param  {Object} page Page the search is made from, from `MCS.getPageInfo`.
+ * @return {Object} The engine, or a keyword bookmark's fake engine.
+ */
+MCS.restoreMruEngine = function (engines, page) {
+    const key = storage.mruEngineKey || "";
+
+    const engine = key.startsWith("engine:") ?
+        engines.find(available => MCS.getEngineKey(available) === key) :
+        key && MCS.getEngineForKey(key, MCS.bookmarkCache.bookmarks, page);
+
+    return engine || Services.search.defaultEngine;
+};
+
+/**
+ * @return {Array<Ci.nsISearchEngine>} The visible built-in engines, less those hidden in the options.
+ */
+MCS.getAvailableEngines = function () {
+    // @var {Array}
+    const visibleEngines = Services.search.getVisibleEngines();
+    if (!visibleEngines) {
+        console.warn("getAvailableEngines - Services.search.getVisibleEngines() failed.", visibleEngines);
+        // Don't give up here since the default / most recent engine may still be available.
+    }
+
+    const hiddenEngines = MCS.getJSONPref("hiddenEngines", []);
+
+    return (visibleEngines || []).filter(engine => hiddenEngines.indexOf(MCS.getEngineKey(engine)) === -1);
+};
+
+/**
+ * The distinct, non-empty lines of the selection.
+ *
+ * @param  {Object} gContextMenu The window's nsContextMenu instance.
+ * @param  {Object} contextTexts Map of search context to text, from `MCS.getContextTexts`.
+ * @return {Array<String>} The lines, trimmed, in order of their first appearance.
+ */
+MCS.getSelectionLines = function (gContextMenu, contextTexts) {
+    if (!contextTexts.selection) {
+        return [];
+    }
+
+    // `textSelected` has its whitespace collapsed, so prefer the full selection when Firefox provides it.
+    const selectionInfo = gContextMenu.selectionInfo || {};
+    const text = selectionInfo.fullText || gContextMenu.textSelected;
+
+    return text.split(/\r\n|\r|\n/).
+        map(line => line.trim()).
+        filter((line, i, lines) => line && lines.indexOf(line) === i);
+};
+
+/**
+ * Add a "Search each line" submenu to the menupopup, when the selection has
+ * several lines. Its items search every line with one engine, each in its own tab.
+ *
+ * @param {Array<String>} options.lines Lines of the selection, from `MCS.getSelectionLines`
+ * @param {Array<Ci.nsISearchEngine>} options.engines Built-in engines, in display order
+ * @param {Array<Object>} options.bookmarks Bookmark objects, in display order
+ * @param {Object} options.page Page the search is made from, from `MCS.getPageInfo`
+ * @param {XULElement} options.menupopup Menupopup element to populate
+ * @return {XULElement|null} The submenu, or null if not added.
+ */
+MCS.addEachLineMenu = function ({
+    lines,
+    engines,
+    bookmarks,
+    page,
+    menupopup,
+}) {
+    if (lines.length < 2) {
+        return null;
+    }
+
+    const { ownerDocument: document } = menupopup;
+
+    const candidates = engines.map(engine => ({ engine, key: MCS.getEngineKey(engine) })).
+        concat(bookmarks.map(bookmark => ({
+            engine: MCS.createBookmarkEngine(bookmark, page),
+            key: MCS.getBookmarkKey(bookmark),
+        })));
+
+    const popup = document.createElement("menupopup");
+
+    candidates.forEach(({ engine, key }) => {
+        const searches = lines.
+            map(line => MCS.getSearchTextForEngine(key, { selection: line })).
+            filter(Boolean).
+            map(search => search.text).
+            filter((text, i, texts) => texts.indexOf(text) === i).
+            map(searchText => ({ engine, searchText }));
+
+        if (searches.length === 0) {
+            return;
+        }
+
+        const menuitem = document.createElement("menuitem");
+        menuitem.setAttribute("label", engine.name);
+        menuitem.setAttribute("class", "menuitem-iconic");
+        menuitem.setAttribute("image", engine.iconURI ? engine.iconURI.spec : "");
+        menuitem.setAttribute("tooltiptext", searches.map(({ searchText }) => searchText).join("\n"));
+
+        menuitem.searches = searches;
+
+        popup.appendChild(menuitem);
+    });
+
+    if (popup.children.length === 0) {
+        return null;
+    }
+
+    const menu = document.createElement("menu");
+    menu.setAttribute("label", _("search_each_line", lines.length));
+    menu.appendChild(popup);
+
+    menupopup.appendChild(document.createElement("menuseparator"));
+    menupopup.appendChild(menu);
+
+    return menu;
+};
+
+/**
+ * Create a menuitem for each engine group with members that apply to the
+ * context menu's target, and append them to the menupopup.
+ *
+ * Groups are stored in the `engineGroups` preference as a JSON array of
+ * `{ name, engines }` objects, where `engines` lists engine keys (see `MCS.getEngineKey`).
+ *
+ * @param {Array<Object>} options.groups Engine groups
+ * @param {Array<Object>} options.bookmarks Bookmark objects available as group members
+ * @param {Object} options.contextTexts Map of search context to text, from `MCS.getContextTexts`
+ * @param {Object} options.page Page the search is made from, from `MCS.getPageInfo`
+ * @param {XULElement} options.menupopup Menupopup element to populate
+ * @return {Array<XULElement>} The menuitems which were added.
+ */
+MCS.addEngineGroupMenuitems = function ({
+    groups,
+    bookmarks,
+    contextTexts,
+    page,
+    menupopup,
+}) {
+    const { ownerDocument: document } = menupopup;
+
+    const menuitems = groups.map(group => {
+        const searches = (group.engines || []).map(key => {
+            const engine = MCS.getEngineForKey(key, bookmarks, page);
+            if (!engine) {
+                console.warn(`addEngineGroupMenuitems - unknown engine "${key}" in group "${group.name}"`);
+                return null;
+            }
+
+            const search = MCS.getSearchTextForEngine(key, contextTexts);
+
+            return search ? { engine, searchText: search.text } : null;
+        }).filter(Boolean);
+
+        if (searches.length === 0) {
+            return null;
+        }
+
+        const menuitem = document.createElement("menuitem");
+        menuitem.setAttribute("label", group.name);
+        menuitem.setAttribute("tooltiptext", searches.map(({ engine }) => engine.name).join(", "));
+
+        menuitem.searches = searches;
+
+        return menuitem;
+    }).filter(Boolean);
+
+    if (menuitems.length > 0 && menupopup.children.length > 0) {
+        menupopup.appendChild(document.createElement("menuseparator"));
+    }
+
+    menuitems.forEach(menuitem => menupopup.appendChild(menuitem));
+
+    return menuitems;
+};
+
+/**
+ * @param  {String} key Engine key.
+ * @param  {Array<Object>} bookmarks Bookmark objects to look keyword bookmarks up in.
+ * @param  {Object} page Page the search is made from, from `MCS.getPageInfo`.
+ * @return {Object|null} The built-in engine or fake bookmark engine, or null if not found.
+ */
+MCS.getEngineForKey = function (key, bookmarks, page) {
+    if (key.startsWith("engine:")) {
+        return Services.search.getEngineByName(key.slice("engine:".length));
+    }
+
+    const bookmark = bookmarks.find(bookmark => MCS.getBookmarkKey(bookmark) === key);
+
+    return bookmark ? MCS.createBookmarkEngine(bookmark, page) : null;
+};
+
+/**
+ * Create a menuitem for a built-in engine and append it to the menupopup.
+ *
+ * @param {Ci.nsISearchEngine} options.engine The engine
+ * @param {String} options.searchText Text to search
+ * @param {String} options.searchContext Search context the text was taken from
+ * @param {XULElement} options.menupopup Menupopup element to populate
+ * @return {XULElement} The menuitem.
+ */
+MCS.addEngineMenuitem = function ({ engine, searchText, searchContext, menupopup }) {
+    const { ownerDocument: document } = menupopup;
+
+    const menuitem = document.createElement("menuitem");
+    menuitem.setAttribute("label", engine.name);
+    menuitem.setAttribute("class", "menuitem-iconic");
+    menuitem.setAttribute("image", engine.iconURI ? engine.iconURI.spec : "");
+    menuitem.setAttribute("searchtext", searchText);
+    menuitem.setAttribute("searchcontext", searchContext);
+    menuitem.setAttribute("tooltiptext", engine.description || "");
+    menuitem.setAttribute("enginekey", MCS.getEngineKey(engine));
+    // menuitem.setAttribute("accesskey", engine.name.slice(0, 1));
+
+    menuitem.engine = engine;
+
+    menupopup.appendChild(menuitem);
+
+    return menuitem;
+};
+
+/**
+ * Add the actions of each detected content type, followed by the engines and
+ * keyword bookmarks whose `contentTypes` setting lists any of the types, to
+ * the top of the menupopup.
+ *
+ * @param {Array<Object>} options.contentTypes Detected content, from `MCS.detectContentTypes`
+ * @param {Array<Ci.nsISearchEngine>} options.engines Built-in engines, in display order
+ * @param {Array<Object>} options.bookmarks Bookmark objects, in display order
+ * @param {Object} options.contextTexts Map of search context to text, from `MCS.getContextTexts`
+ * @param {Object} options.page Page the search is made from, from `MCS.getPageInfo`
+ * @param {XULElement} options.menupopup Menupopup element to populate
+ * @return {Array<XULElement>} The menuitems which were added.
+ */
+MCS.addContentSuggestionMenuitems = function ({
+    contentTypes,
+    engines,
+    bookmarks,
+    contextTexts,
+    page,
+    menupopup,
+}) {
+    const { ownerDocument: document } = menupopup;
+
+    const actionMenuitems = contentTypes.reduce((menuitems, { detector, value }) =>
+        menuitems.concat((detector.actions || []).map(action => {
+            const engine = MCS.createActionEngine(action, detector, page);
+            if (!engine) {
+                return null;
+            }
+
+            const menuitem = document.createElement("menuitem");
+            menuitem.setAttribute("label", action.label);
+            menuitem.setAttribute("searchtext", value);
+            menuitem.setAttribute("searchcontext", "selection");
+            menuitem.setAttribute("tooltiptext", value);
+
+            menuitem.engine = engine;
+
+            return menupopup.appendChild(menuitem);
+        }).filter(Boolean)), []);
+
+    const types = contentTypes.map(({ detector }) => detector.type);
+    const isRelevant = (key) => (MCS.getEngineSettings(key).contentTypes || []).
+        some(type => types.indexOf(type) !== -1);
+
+    const promotedEngines = engines.filter(engine => isRelevant(MCS.getEngineKey(engine)));
+    const promotedBookmarks = bookmarks.filter(bookmark => isRelevant(MCS.getBookmarkKey(bookmark)));
+
+    const promotedMenuitems = promotedEngines.map(engine => {
+        const search = MCS.getSearchTextForEngine(MCS.getEngineKey(engine), contextTexts);
+
+        return search && MCS.addEngineMenuitem({
+            engine,
+            searchText: search.text,
+            searchContext: search.context,
+            menupopup,
+        });
+    }).concat(promotedBookmarks.map(bookmark => {
+        const search = MCS.getSearchTextForEngine(MCS.getBookmarkKey(bookmark), contextTexts);
+
+        return search && MCS.addKeywordBookmarkMenuitem({
+            bookmark,
+            searchText: search.text,
+            searchContext: search.context,
+            page,
+            menupopup,
+        });
+    })).filter(Boolean);
+
+    // Promoted items also keep their usual place, so leave them out of drag and drop reordering.
+    promotedMenuitems.forEach(menuitem => menuitem.removeAttribute("enginekey"));
+
+    const menuitems = actionMenuitems.concat(promotedMenuitems);
+    if (menuitems.length > 0) {
+        menupopup.appendChild(document.createElement("menuseparator"));
+    }
+
+    return menuitems;
+};
+
+/**
+ * Create a fake "engine" object for a content detector's action, which opens
+ * its `url` template (see `MCS.parseTemplate`) with the detected value as the search text.
+ *
+ * @param  {Object} action The `{ label, url }` action.
+ * @param  {Object} detector The detector the action belongs to.
+ * @param  {Object} page Page the search is made from, from `MCS.getPageInfo`.
+ * @return {Object|null} The fake engine, or null if the action's template is invalid.
+ */
+MCS.createActionEngine = function (action, detector, page) {
+    const template = MCS.parseTemplate(action.url || "");
+    if (template.errors.length > 0 || !action.label) {
+        console.warn(`createActionEngine - invalid action for "${detector.type}"`, action, template.errors);
+        return null;
+    }
+
+    return {
+        key: `action:${detector.type}:${action.label}`,
+        name: action.label,
+        iconURI: null,
+        description: "",
+        getSubmission: (searchText) => {
+            const url = MCS.expandTemplate(template, MCS.getTemplateValues(searchText, page));
+
+            return { uri: Services.io.newURI(url), postData: null };
+        },
+    };
+};
+
+/**
+ * Point #mcs-menu at an engine and show it.
+ *
+ * @param {XULElement} options.menu The #mcs-menu element.
+ * @param {Object} options.engine Engine used when the menu itself is clicked.
+ * @param {String} options.searchText Text to search.
+ * @return {void}
+ */
+MCS.updateSearchMenu = function ({ menu, engine, searchText }) {
+    const { ownerDocument: document } = menu;
+    const { gContextMenu } = document.defaultView;
+
+    const ellipsis = (gContextMenu && gContextMenu.ellipsis) || "…";
+
+    const previewText = MCS.isolateBidi(MCS.truncatePreview(searchText, MCS.getAddonPref("maxPreviewLength"), ellipsis));
+    const engineName = MCS.isolateBidi(engine.name);
+
+    let menulabel,
+        accesskey;
+    try {
+        // This now seems to work in e10s.
+        const gNavigatorBundle = document.getElementById("bundle_browser");
+        menulabel = gNavigatorBundle.getFormattedString("contextMenuSearch", [engineName, previewText]);
+        accesskey = gNavigatorBundle.getString("contextMenuSearch.accesskey");
+    } catch (e) {
+        console.error(e);
+
+        menulabel = _("context_menu_search", engineName, previewText);
+        accesskey = _("context_menu_search.accesskey");
+    }
+
+    console.log("updateSearchMenu - updating menu", { menulabel, accesskey, searchText });
+
+    menu.setAttribute("label", menulabel);
+    menu.setAttribute("image", engine.iconURI ? engine.iconURI.spec : "");
+    menu.setAttribute("accesskey", accesskey);
+    menu.setAttribute("searchtext", searchText);
+    menu.setAttribute("hidden", false);
+
+    menu.engine = engine;
+};
+
+// Code points which belong to the grapheme cluster before them: common
+// combining marks, Indic vowel signs and viramas, Thai marks, variation
+// selectors, zero width (non-)joiners, emoji skin tone modifiers and tags.
+MCS.graphemeExtend = new RegExp(`^[${[
+    "\u0300-\u036f\u0483-\u0489\u0591-\u05bd\u05bf\u05c1\u05c2\u05c4\u05c5\u05c7",
+    "\u0610-\u061a\u064b-\u065f\u0670\u06d6-\u06dc\u06df-\u06e4\u06e7\u06e8\u06ea-\u06ed",
+    "\u0900-\u0903\u093a-\u093c\u093e-\u094f\u0951-\u0957\u0962\u0963",
+    "\u0981-\u0983\u09bc\u09be-\u09cd\u09d7\u0e31\u0e34-\u0e3a\u0e47-\u0e4e",
+    "\u1ab0-\u1aff\u1dc0-\u1dff\u200c\u200d\u20d0-\u20ff\u302a-\u302f\u3099\u309a",
+    "\ufe00-\ufe0f\ufe20-\ufe2f\u{1f3fb}-\u{1f3ff}\u{e0020}-\u{e007f}\u{e0100}-\u{e01ef}",
+].join("")}]$`, "u");
+
+// Regional indicator symbols, which pair up into flags.
+MCS.regionalIndicator = /^[\u{1f1e6}-\u{1f1ff}]$/u;
+
+/**
+ * Split text into grapheme clusters (user-perceived characters), closely
+ * enough to keep emoji sequences, flags and combining characters together.
+ *
+ * @param  {String} text Text to split.
+ * @return {Array<String>} The grapheme clusters.
+ */
+MCS.splitGraphemes = function (text) {
+    const clusters = [];
+    let previous = "";
+
+    Array.from(text).forEach(char => {
+        const last = clusters[clusters.length - 1];
+
+        const extendsLast = last !== undefined && (
+            MCS.graphemeExtend.test(char) ||
+            previous === "\u200d" ||
+            (previous === "\r" && char === "\n") ||
+            (MCS.regionalIndicator.test(char) && MCS.regionalIndicator.test(last))
+        );
+
+        if (extendsLast) {
+            clusters[clusters.length - 1] += char;
+        } else {
+            clusters.push(char);
+        }
+
+        previous = char;
+    });
+
+    return clusters;
+};
+
+/**
+ * @param  {String} text Text to preview.
+ * @param  {Number} maxLength Most grapheme clusters to keep.
+ * @param  {String} ellipsis Appended when the text is cut.
+ * @return {String} The text, cut between grapheme clusters.
+ */
+MCS.truncatePreview = function (text, maxLength, ellipsis) {
+    const clusters = MCS.splitGraphemes(text);
+
+    return clusters.length > maxLength ? clusters.slice(0, maxLength).join("") + ellipsis : text;
+};
+
+/**
+ * Isolate text inserted into a label, so right-to-left text doesn't reorder
+ * the label around it, or the other way round.
+ *
+ * @param  {String} text Text to insert.
+ * @return {String} The text between FIRST STRONG ISOLATE and POP DIRECTIONAL ISOLATE.
+ */
+MCS.isolateBidi = function (text) {
+    return `\u2068${text}\u2069`;
+};
+
+/**
+ * Search with a single engine, making it the most recently used one.
+ *
+ * @param  {ChromeWindow} options.window The browser window the search is made from.
+ * @param  {Object} options.search The `{ engine, searchText }` search.
+ * @param  {Object} options.page Page the search is made from, from `MCS.getPageInfo`.
+ * @param  {String} options.target Where to open the search, from `MCS.getClickTarget`.
+ * @param  {Object} [options.anchor] Screen position, `{ screenX, screenY }`, to show a preview at.
+ * @return {void}
+ */
+MCS.searchWithEngine = function ({ window, search, page, target, anchor }) {
+    const key = MCS.getEngineKey(search.engine);
+    const openParams = MCS.getOpenParams(target);
+
+    // Content actions aren't engines: they're neither counted nor remembered as the most recent one.
+    if (!key.startsWith("action:")) {
+        MCS.recordEngineUsage(key);
+
+        // Update the most recent engine
+        MCS.mruEngine = search.engine;
+        storage.mruEngineKey = key;
+    }
+
+    MCS.logSearch({
+        window,
+        search,
+        page,
+        target: target in MCS.clickTargets ? target : MCS.getDefaultClickTarget(),
+    });
+
+    MCS.openSearch(Object.assign({
+        window,
+        search,
+        anchor,
+        userContextId: openParams.isPrivate ? 0 : MCS.getUserContextId(window, key),
+    }, openParams));
+};
+
+/**
+ * @param  {ChromeWindow} window The browser window.
+ * @return {XULElement} The window's #mcs-preview-panel, created on first use.
+ */
+MCS.getPreviewPanel = function (window) {
+    const { document } = window;
+
+    const existingPanel = document.getElementById(MCS.previewPanelId);
+    if (existingPanel) {
+        return existingPanel;
+    }
+
+    const panel = document.createElement("panel");
+    panel.setAttribute("id", MCS.previewPanelId);
+    panel.setAttribute("level", "parent");
+
+    const toolbar = document.createElement("hbox");
+    toolbar.setAttribute("align", "center");
+
+    const title = document.createElement("label");
+    title.setAttribute("flex", "1");
+    title.setAttribute("crop", "end");
+
+    const promote = document.createElement("button");
+    promote.setAttribute("label", _("preview_open_in_tab"));
+    promote.addEventListener("command", () => MCS.promotePreview(window), false);
+
+    const close = document.createElement("button");
+    close.setAttribute("label", _("preview_close"));
+    close.addEventListener("command", () => panel.hidePopup(), false);
+
+    const browser = document.createElement("browser");
+    browser.setAttribute("type", "content");
+    browser.setAttribute("disablehistory", "true");
+    browser.setAttribute("width", MCS.previewSize.width);
+    browser.setAttribute("height", MCS.previewSize.height);
+    if (window.gMultiProcessBrowser) {
+        browser.setAttribute("remote", "true");
+    }
+
+    toolbar.appendChild(title);
+    toolbar.appendChild(promote);
+    toolbar.appendChild(close);
+    panel.appendChild(toolbar);
+    panel.appendChild(browser);
+
+    // The browser is only usable once the panel is open, so load the search then.
+    panel.addEventListener("popupshown", () => {
+        const { submission, search } = panel.preview;
+
+        browser.loadURIWithFlags(submission.uri.spec, Ci.nsIWebNavigation.LOAD_FLAGS_NONE, null,
+            search.engine.charset || "UTF-8", submission.postData);
+    }, false);
+
+    // Stop the page, and anything it plays, once closed.
+    panel.addEventListener("popuphidden", () => browser.loadURI("about:blank"), false);
+
+    panel.titleLabel = title;
+    panel.browser = browser;
+
+    document.getElementById("mainPopupSet").appendChild(panel);
+
+    return panel;
+};
+
+/**
+ * Show a search's results in the preview panel.
+ *
+ * @param {ChromeWindow} options.window The browser window.
+ * @param {Object} options.search The `{ engine, searchText }` search.
+ * @param {Ci.nsISearchSubmission} options.submission The search's submission.
+ * @param {Object} [options.anchor] Screen position, `{ screenX, screenY }`, to show the panel at.
+ * @return {void}
+ */
+MCS.openPreview = function ({ window, search, submission, anchor }) {
+    const panel = MCS.getPreviewPanel(window);
+
+    panel.hidePopup();
+    panel.preview = { search, submission };
+    panel.titleLabel.setAttribute("value", _("preview_title", search.engine.name, search.searchText));
+
+    if (anchor) {
+        panel.openPopupAtScreen(anchor.screenX, anchor.screenY, false);
+    } else {
+        panel.openPopup(window.gBrowser.selectedBrowser, "overlap", 20, 20, false, false);
+    }
+};
+
+/**
+ * Open the preview panel's page in a new tab, and close the panel.
+ *
+ * @param  {ChromeWindow} window The browser window.
+ * @return {void}
+ */
+MCS.promotePreview = function (window) {
+    const panel = MCS.getPreviewPanel(window);
+    const { search, submission } = panel.preview;
+    const spec = panel.browser.currentURI.spec;
+
+    const userContextId = MCS.getUserContextId(window, MCS.getEngineKey(search.engine));
+
+    panel.hidePopup();
+
+    // Search again if the page is still the results, to send any POST data along.
+    if (spec === submission.uri.spec || spec === "about:blank") {
+        MCS.openSearch({ window, search, whereToOpen: "tab", inBackground: false, userContextId });
+        return;
+    }
+
+    window.openLinkIn(spec, "tab", { relatedToCurrent: true, inBackground: false, userContextId });
+};
+
+/**
+ * Ask before opening more tabs at once than the `maxTabsWithoutConfirm` preference allows.
+ *
+ * @param  {Ci.nsIDOMWindow} window Browser window to show the prompt in.
+ * @param  {Number} count Number of tabs about to be opened.
+ * @return {Boolean} True if the tabs should be opened.
+ */
+MCS.confirmOpeningTabs = function (window, count) {
+    if (count <= MCS.getAddonPref("maxTabsWithoutConfirm")) {
+        return true;
+    }
+
+    return Services.prompt.confirm(window, _("prompt_title"), _("confirm_open_tabs", count));
+};
+
+/**
+ * Find the container an engine's searches open in, from its `container`
+ * setting: "current" (the default) for the selected tab's container, a
+ * container's name or user context id, or 0 for no container.
+ *
+ * @param  {Ci.nsIDOMWindow} window Browser window the search is made from.
+ * @param  {String} key Engine key.
+ * @return {Number} The user context id.
+ */
+MCS.getUserContextId = function (window, key) {
+    const { container } = MCS.getEngineSettings(key);
+
+    if (container === "current") {
+        const browser = window.gBrowser.selectedBrowser;
+        return parseInt(browser.getAttribute("usercontextid") || 0, 10);
+    }
+
+    if (typeof container === "number") {
+        return container;
+    }
+
+    try {
+        const service = MCS.ContextualIdentityService;
+        const identity = service.getPublicIdentities().find(identity =>
+            service.getUserContextLabel(identity.userContextId) === container);
+
+        if (identity) {
+            return identity.userContextId;
+        }
+    } catch (e) {
+        console.error(e);
+    }
+
+    console.warn(`getUserContextId - unknown container "${container}" for "${key}"`);
+    return 0;
+};
+
+/**
+ * Submit a search and open the results.
+ *
+ * @param {Ci.nsIDOMWindow} options.window Browser window to open the results from.
+ * @param {Object} options.search The `{ engine, searchText }` to submit.
+ * @param {String} options.whereToOpen Where to open the results, as understood by `openLinkIn`,
+ *                                      or `"preview"` for the preview panel.
+ * @param {Boolean} options.inBackground Whether to open a new tab in the background.
+ * @param {Boolean} [options.isPrivate] Whether to open a new private window.
+ * @param {Number} [options.userContextId] Container to open a new tab in.
+ * @param {Object} [options.anchor] Screen position, `{ screenX, screenY }`, to show a preview at.
+ * @return {void}
+ */
+MCS.openSearch = function ({
+    window,
+    search,
+    whereToOpen,
+    inBackground,
+    isPrivate = false,
+    userContextId = 0,
+    anchor = null,
+}) {
+    const { engine, searchText } = search;
+
+    // @var {Ci.nsISearchSubmission}
+    const submission = engine.getSubmission(searchText, null, "contextmenu");
+    if (!submission) {
+        console.warn("openSearch - failed to get submission");
+        return;
+    }
+    if (!submission.uri || !submission.uri.spec) {
+        console.warn("openSearch - missing submission.uri.spec", submission);
+        return;
+    }
+
+    const searchURI = submission.uri.spec;
+    const postData = submission.postData;
+
+    console.log("openSearch - opening link.", { searchText, searchURI, postData, whereToOpen });
+
+    if (whereToOpen === "preview") {
+        MCS.openPreview({ window, search, submission, anchor });
+        return;
+    }
+
+    try {
+        window.openLinkIn(searchURI, whereToOpen, {
+            relatedToCurrent: true,
+            charset: engine.charset || "UTF-8",
+            postData,
+            inBackground,
+            referrerURI: "",
+            referrerPolicy: Ci.nsIHttpChannel.REFERRER_POLICY_NO_REFERRER,
+            noReferrer: true,
+            private: isPrivate,
+            // skipTabAnimation: true,
+            // allowPinnedTabHostChange: true,
+            userContextId,
+            // indicateErrorPageLoad: false,
+            // originPrincipal: null,
+            // forceAboutBlankViewerInCurrent: false,
+            // isContentWindowPrivate: false,
+        });
+    } catch (e) {
+        console.error(e);
+    }
+};
+
+/**
+ * Fetch the character encoding Firefox stored for each bookmark's URL,
+ * which keyword searches are encoded in.
+ *
+ * @param  {Array<Object>} bookmarks Array of bookmark objects.
+ * @return {Promise} A promise that resolves with an array of the bookmark objects with their charset added.
+ */
+MCS.promiseAllBookmarksWithCharsets = function (bookmarks) {
+    return Promise.all(bookmarks.map(bookmark =>
+        getCharsetForURI(Services.io.newURI(bookmark.url)).
+            catch(e => {
+                console.error("getCharsetForURI failed", e);
+                return null;
+            }).
+            then(charset => Object.assign(bookmark, { charset: charset || "UTF-8" }))));
+};
+
+/**
+ * Fetch each favicon url into each bookmark object.
+ *
+ * @param  {Array<Object>} bookmarks Array of bookmark objects.
+ * @return {Promise} A promise that resolves with an array of the bookmark objects with their favicon data added.
+ */
+MCS.promiseAllBookmarksWithFavicons = function (bookmarks) {
+    // @var {Array<Promise>}
+    const resolvingFavicons = bookmarks.map(MCS.resolveBookmarkFavicon);
 
     return Promise.all(resolvingFavicons);
 };
 
 /**
- * Fetch the favicon url into the bookmark object.
+ * Fetch the favicon url into the bookmark object.
+ *
+ * @param  {Object} bookmark A bookmark object.
+ * @return {Promise} A promise that resolves with the bookmark object with its favicon data added.
+ */
+MCS.resolveBookmarkFavicon = function (bookmark) {
+    const { iconURLs } = MCS.bookmarkCache;
+
+    if (iconURLs.has(bookmark.url)) {
+        return Promise.resolve(Object.assign(bookmark, { iconURL: iconURLs.get(bookmark.url) }));
+    }
+
+    return promiseFaviconData(bookmark.url).then(data => {
+        if (data.dataLen === 0) {
+            return MCS.getDefaultFavicon();
+        }
+
+        const rawCharData = String.fromCharCode.apply(null, data.data);
+        const encodedData = base64.encode(rawCharData);
+
+        return `data:${data.mimeType};base64,${encodedData}`;
+    }).catch(e => {
+        console.error("promiseFaviconData failed", e);
+
+        return MCS.getDefaultFavicon();
+    }).then(iconURL => {
+        iconURLs.set(bookmark.url, iconURL);
+
+        return Object.assign(bookmark, { iconURL });
+    });
+};
+
+/**
+ * Resolve the keyword bookmarks with any of the tags, with their charsets and favicons.
+ *
+ * @param  {Array<String>} tags Tags to find keyword bookmarks for.
+ * @return {Promise} A promise that resolves with an array of bookmark objects.
+ */
+MCS.promiseTaggedBookmarks = function (tags) {
+    if (tags.length === 0) {
+        return Promise.resolve([]);
+    }
+
+    return MCS.getKeywordBookmarksForTag(tags).
+        then(keywordResults => MCS.keywordResultsToBookmarks(keywordResults)).
+        then(bookmarks => MCS.promiseAllBookmarksWithCharsets(bookmarks)).
+        then(bookmarks => MCS.promiseAllBookmarksWithFavicons(bookmarks));
+};
+
+/**
+ * Rebuild the bookmark cache from Places.
+ *
+ * @return {Promise} A promise that resolves once the cache is current.
+ */
+MCS.refreshBookmarkCache = function () {
+    const cache = MCS.bookmarkCache;
+
+    cache.generation += 1;
+    const generation = cache.generation;
+
+    const tags = MCS.getSearchTagSections().map(section => section.tag);
+
+    return MCS.promiseTaggedBookmarks(tags).then(bookmarks => {
+        if (generation !== cache.generation) {
+            return;
+        }
+
+        cache.bookmarks = bookmarks;
+
+        // Forget the favicons of bookmarks which are gone.
+        const urls = bookmarks.map(bookmark => bookmark.url);
+        Array.from(cache.iconURLs.keys()).
+            filter(url => urls.indexOf(url) === -1).
+            forEach(url => cache.iconURLs.delete(url));
+
+        console.log("refreshBookmarkCache - cached bookmarks", bookmarks.length);
+    }).catch(logError);
+};
+
+/**
+ * Refresh the bookmark cache soon, coalescing repeated calls.
+ *
+ * @return {void}
+ */
+MCS.scheduleBookmarkCacheRefresh = function () {
+    const cache = MCS.bookmarkCache;
+
+    clearTimeout(cache.refreshTimer);
+    cache.refreshTimer = setTimeout(() => {
+        cache.refreshTimer = null;
+        MCS.refreshBookmarkCache();
+    }, MCS.bookmarkCacheRefreshDelay);
+};
+
+// Refreshes the bookmark cache when bookmarks, keywords, tags or descriptions change.
+MCS.bookmarkObserver = {
+    QueryInterface: XPCOMUtils.generateQI([Ci.nsINavBookmarkObserver]),
+
+    onBeginUpdateBatch() {},
+
+    onEndUpdateBatch() {},
+
+    onItemAdded() {
+        MCS.scheduleBookmarkCacheRefresh();
+    },
+
+    onItemRemoved() {
+        MCS.scheduleBookmarkCacheRefresh();
+    },
+
+    onItemChanged(itemId, property) {
+        // Keywords, tags, titles, URLs and annotations all matter; only skip bookkeeping changes.
+        if (property !== "lastModified" && property !== "dateAdded") {
+            MCS.scheduleBookmarkCacheRefresh();
+        }
+    },
+
+    onItemVisited() {},
+
+    onItemMoved() {
+        MCS.scheduleBookmarkCacheRefresh();
+    },
+};
+
+// Page annotation holding the character encoding Firefox stores for keyword bookmarks.
+MCS.charsetAnnotation = "URIProperties/characterSet";
+
+// Refreshes the bookmark cache when the character encoding stored for a page changes.
+MCS.annotationObserver = {
+    QueryInterface: XPCOMUtils.generateQI([Ci.nsIAnnotationObserver]),
+
+    onPageAnnotationSet(uri, name) {
+        if (name === MCS.charsetAnnotation) {
+            MCS.scheduleBookmarkCacheRefresh();
+        }
+    },
+
+    onPageAnnotationRemoved(uri, name) {
+        if (name === MCS.charsetAnnotation) {
+            MCS.scheduleBookmarkCacheRefresh();
+        }
+    },
+
+    onItemAnnotationSet() {},
+
+    onItemAnnotationRemoved() {},
+};
+
+// Refreshes the cached favicons of keyword bookmarks when they change.
+MCS.historyObserver = {
+    QueryInterface: XPCOMUtils.generateQI([Ci.nsINavHistoryObserver]),
+
+    onBeginUpdateBatch() {},
+
+    onEndUpdateBatch() {},
+
+    onVisit() {},
+
+    onTitleChanged() {},
+
+    onFrecencyChanged() {},
+
+    onManyFrecenciesChanged() {},
+
+    onDeleteURI() {},
+
+    onClearHistory() {},
+
+    onDeleteVisits() {},
+
+    onPageChanged(uri, changedAttribute) {
+        if (changedAttribute !== Ci.nsINavHistoryObserver.ATTRIBUTE_FAVICON) {
+            return;
+        }
+
+        if (MCS.bookmarkCache.iconURLs.delete(uri.spec)) {
+            MCS.scheduleBookmarkCacheRefresh();
+        }
+    },
+};
+
+/**
+ * Fill the bookmark cache and start keeping it current.
+ *
+ * @return {void}
+ */
+MCS.startBookmarkCache = function () {
+    pBookmarks.addObserver(MCS.bookmarkObserver, false);
+    pHistory.addObserver(MCS.historyObserver, false);
+    pAnnotations.addObserver(MCS.annotationObserver);
+    MCS.prefs.on("searchBookmarksTag", MCS.scheduleBookmarkCacheRefresh);
+    MCS.prefs.on("searchBookmarksTags", MCS.scheduleBookmarkCacheRefresh);
+
+    MCS.refreshBookmarkCache();
+};
+
+/**
+ * @return {void}
+ */
+MCS.stopBookmarkCache = function () {
+    pBookmarks.removeObserver(MCS.bookmarkObserver);
+    pHistory.removeObserver(MCS.historyObserver);
+    pAnnotations.removeObserver(MCS.annotationObserver);
+    MCS.prefs.removeListener("searchBookmarksTag", MCS.scheduleBookmarkCacheRefresh);
+    MCS.prefs.removeListener("searchBookmarksTags", MCS.scheduleBookmarkCacheRefresh);
+
+    clearTimeout(MCS.bookmarkCache.refreshTimer);
+};
+
+/**
+ * Search tags and the popup sections their keyword bookmarks are shown in.
+ *
+ * Read from the `searchBookmarksTags` preference, a JSON array of
+ * `{ tag, label, submenu }` objects, falling back to the single, unlabelled
+ * `searchBookmarksTag`.
+ *
+ * @return {Array<Object>} The `{ tag, label, submenu }` sections, in display order.
+ */
+MCS.getSearchTagSections = function () {
+    const sections = MCS.getJSONPref("searchBookmarksTags", null);
+    if (Array.isArray(sections)) {
+        return sections.filter(section => section && section.tag).map(section => ({
+            tag: section.tag,
+            label: section.label || "",
+            submenu: Boolean(section.submenu),
+        }));
+    }
+
+    const searchBookmarkTag = MCS.getAddonPref("searchBookmarksTag");
+
+    // Custom search tag may be set to empty string - do not add bookmarked searches then.
+    return searchBookmarkTag ? [{ tag: searchBookmarkTag, label: "", submenu: false }] : [];
+};
+
+/**
+ * Add the keyword bookmarks of each search tag section to the menupopup,
+ * either inline after a separator and heading, or in a labelled submenu.
+ *
+ * @param {Array<Object>} options.sections Sections, from `MCS.getSearchTagSections`
+ * @param {Array<Object>} options.bookmarks Bookmark objects, in display order
+ * @param {Object} options.contextTexts Map of search context to text, from `MCS.getContextTexts`
+ * @param {Object} options.page Page the search is made from, from `MCS.getPageInfo`
+ * @param {XULElement} options.menupopup Menupopup element to populate
+ * @return {Array<XULElement>} The menuitems which were added.
+ */
+MCS.addKeywordBookmarkSections = function ({
+    sections,
+    bookmarks,
+    contextTexts,
+    page,
+    menupopup,
+}) {
+    const { ownerDocument: document } = menupopup;
+
+    return sections.reduce((menuitems, section) => {
+        const sectionBookmarks = bookmarks.filter(bookmark => bookmark.tag === section.tag);
+
+        if (!section.submenu) {
+            return menuitems.concat(MCS.addKeywordBookmarksMenuitems({
+                bookmarks: sectionBookmarks,
+                prependSeparator: menupopup.children.length > 0,
+                caption: section.label,
+                contextTexts,
+                page,
+                menupopup,
+            }));
+        }
+
+        const menu = document.createElement("menu");
+        menu.setAttribute("label", section.label || section.tag);
+        menu.setAttribute("class", "mcs-section-menu");
+
+        const popup = document.createElement("menupopup");
+        menu.appendChild(popup);
+
+        const added = MCS.addKeywordBookmarksMenuitems({
+            bookmarks: sectionBookmarks,
+            prependSeparator: false,
+            contextTexts,
+            page,
+            menupopup: popup,
+        });
+
+        if (added.length === 0) {
+            return menuitems;
+        }
+
+        // Consecutive section submenus share one separator.
+        const previous = menupopup.lastChild;
+        if (previous && previous.getAttribute("class") !== "mcs-section-menu") {
+            menupopup.appendChild(document.createElement("menuseparator"));
+        }
+
+        menupopup.appendChild(menu);
+
+        return menuitems.concat(added);
+    }, []);
+};
+
+/**
+ * Process the combined keyword, bookmark, and favicon data (herein "bookmarks").
+ * Create a menuitem for each bookmark which applies to the context menu's
+ * target and append it to the menupopup.
+ *
+ * @param {Array<Object>} options.bookmarks Bookmark objects
+ * @param {Boolean} options.prependSeparator If true, prepend a separator before the keyword bookmarks menuitems
+ * @param {String} [options.caption] Label of a heading to prepend before the keyword bookmarks menuitems
+ * @param {Object} options.contextTexts Map of search context to text, from `MCS.getContextTexts`
+ * @param {Object} options.page Page the search is made from, from `MCS.getPageInfo`
+ * @param {XULElement} options.menupopup Menupopup element to populate
+ * @return {Array<XULElement>} The menuitems which were added.
+ */
+MCS.addKeywordBookmarksMenuitems = function ({
+    bookmarks,
+    prependSeparator,
+    caption,
+    contextTexts,
+    page,
+    menupopup,
+}) {
+    console.log("adding keyword bookmarks", bookmarks);
+
+    const searches = MCS.getKeywordBookmarkSearches(bookmarks, contextTexts);
+    if (searches.length === 0) {
+        return [];
+    }
+
+    const applicableBookmarks = searches.map(search => search.bookmark);
+
+    const { ownerDocument: document } = menupopup;
+
+    if (prependSeparator) {
+        menupopup.appendChild(document.createElement("menuseparator"));
+    }
+
+    if (caption) {
+        const heading = document.createElement("menuitem");
+        heading.setAttribute("label", caption);
+        heading.setAttribute("disabled", true);
+        menupopup.appendChild(heading);
+    }
+
+    const addMenuitem = (bookmark, parentPopup) => {
+        const { searchText, searchContext } = searches[applicableBookmarks.indexOf(bookmark)];
+
+        return MCS.addKeywordBookmarkMenuitem({ bookmark, searchText, searchContext, page, menupopup: parentPopup });
+    };
+
+    if (MCS.getAddonPref("bookmarkLayout") !== "folders") {
+        return applicableBookmarks.map(bookmark => addMenuitem(bookmark, menupopup));
+    }
+
+    const tree = MCS.getBookmarkFolderTree(applicableBookmarks, MCS.getAddonPref("bookmarkFolderDepth"));
+
+    const menuitems = [];
+    const addFolder = (folder, parentPopup) => {
+        folder.folders.forEach(subfolder => {
+            const menu = document.createElement("menu");
+            menu.setAttribute("label", subfolder.title);
+            menu.setAttribute("class", "menu-iconic bookmark-item");
+            menu.setAttribute("container", true);
+
+            const popup = document.createElement("menupopup");
+            menu.appendChild(popup);
+            parentPopup.appendChild(menu);
+
+            addFolder(subfolder, popup);
+        });
+
+        folder.bookmarks.forEach(bookmark => menuitems.push(addMenuitem(bookmark, parentPopup)));
+    };
+
+    addFolder(tree, menupopup);
+
+    return menuitems;
+};
+
+/**
+ * Create a menuitem for the bookmark and append it to the menupopup.
+ *
+ * @param {Object} options.bookmark Bookmark object
+ * @param {String} options.searchText Text to search
+ * @param {String} options.searchContext Search context the text was taken from
+ * @param {Object} options.page Page the search is made from, from `MCS.getPageInfo`
+ * @param {XULElement} options.menupopup Menupopup element to populate
+ * @return {XULElement} The menuitem.
+ */
+MCS.addKeywordBookmarkMenuitem = function ({ bookmark, searchText, searchContext, page, menupopup }) {
+    const { ownerDocument: document } = menupopup;
+
+    const menuitem = document.createElement("menuitem");
+
+    menuitem.setAttribute("label", bookmark.title);
+    menuitem.setAttribute("class", "menuitem-iconic");
+    menuitem.setAttribute("image", bookmark.iconURL);
+    menuitem.setAttribute("searchtext", searchText);
+    menuitem.setAttribute("searchcontext", searchContext);
+    menuitem.setAttribute("tooltiptext", bookmark.description || "");
+    menuitem.setAttribute("enginekey", MCS.getBookmarkKey(bookmark));
+    // menuitem.setAttribute("accesskey", bookmark.title.slice(0, 1));
+
+    menuitem.engine = MCS.createBookmarkEngine(bookmark, page);
+
+    menupopup.appendChild(menuitem);
+
+    return menuitem;
+};
+
+/**
+ * @param  {Object} gContextMenu The window's nsContextMenu instance.
+ * @return {Object} The `url`, `title` and `host` of the page the context menu was opened on.
+ */
+MCS.getPageInfo = function (gContextMenu) {
+    const page = { url: "", title: "", host: "" };
+
+    const browser = gContextMenu.browser;
+    if (!browser) {
+        return page;
+    }
+
+    page.url = browser.currentURI.spec;
+    page.title = browser.contentTitle || "";
+
+    try {
+        page.host = browser.currentURI.host;
+    } catch (e) {
+        // URIs like about:blank have no host.
+    }
+
+    return page;
+};
+
+/**
+ * An engine menuitem is being dragged. Only allowed in the "manual" sort order.
+ *
+ * @param  {Event} event The "dragstart" event object.
+ * @return {void}
+ */
+MCS.onEngineDragStart = function (event) {
+    const key = event.target.getAttribute("enginekey");
+    if (!key || MCS.getAddonPref("sortOrder") !== "manual") {
+        return;
+    }
+
+    event.dataTransfer.setData(MCS.engineKeyDataType, key);
+    event.dataTransfer.effectAllowed = "move";
+};
+
+/**
+ * @param  {Event} event The "dragover" event object.
+ * @return {void}
+ */
+MCS.onEngineDragOver = function (event) {
+    const types = Array.from(event.dataTransfer.types);
+    if (types.indexOf(MCS.engineKeyDataType) !== -1 && event.target.hasAttribute("enginekey")) {
+        event.preventDefault();
+    }
+};
+
+/**
+ * An engine menuitem was dropped onto another: move it before that one and
+ * store the popup's new order as the manual order.
+ *
+ * @param  {Event} event The "drop" event object.
+ * @return {void}
+ */
+MCS.onEngineDrop = function (event) {
+    const key = event.dataTransfer.getData(MCS.engineKeyDataType);
+    const target = event.target;
+    if (!key || !target.hasAttribute("enginekey")) {
+        return;
+    }
+
+    event.preventDefault();
+
+    const menupopup = target.parentNode;
+    const dragged = Array.from(menupopup.children).find(menuitem => menuitem.getAttribute("enginekey") === key);
+    if (!dragged || dragged === target) {
+        return;
+    }
+
+    menupopup.insertBefore(dragged, target);
+
+    const popupOrder = Array.from(menupopup.children).
+        map(menuitem => menuitem.getAttribute("enginekey")).
+        filter(Boolean);
+
+    // Engines which don't apply to the current target keep their place after the visible ones.
+    const previousOrder = (storage.manualOrder || []).filter(key => popupOrder.indexOf(key) === -1);
+
+    storage.manualOrder = popupOrder.concat(previousOrder);
+};
+
+/**
+ * URLs carrying several of the tags are only included once, for the first of them.
+ * Tagged URLs without a keyword are left out.
+ *
+ * @param  {String|Array<String>} tags The tag, or tags, to find keyword bookmarks for.
+ * @return {Promise} A promise that resolves with an array of keyword bookmark results,
+ *                   each with the `tag` it was found by.
+ */
+MCS.getKeywordBookmarksForTag = function (tags) {
+    // @var {Array<Promise>}
+    const fetchingKeywords = Array.from(MCS.getTaggedURLs(tags)).map(([url, tag]) =>
+        pKeywords.fetch({ url }).then(keywordResult =>
+            keywordResult && Object.assign({}, keywordResult, { tag })));
+
+    return Promise.all(fetchingKeywords).then(keywordResults => keywordResults.filter(Boolean));
+};
+
+/**
+ * @param  {String|Array<String>} tags The tag, or tags, to find URLs for.
+ * @return {Map} Each URL with any of the tags, to the first of its tags.
+ */
+MCS.getTaggedURLs = function (tags) {
+    const taggedURLs = new Map();
+
+    [].concat(tags).forEach(tag => {
+        // @var {Array<Ci.nsIURI>}
+        const uris = pTagging.getURIsForTag(tag);
+
+        uris.forEach(uri => {
+            if (!taggedURLs.has(uri.spec)) {
+                taggedURLs.set(uri.spec, tag);
+            }
+        });
+    });
+
+    return taggedURLs;
+};
+
+/**
+ * Check every URL with a search tag, for the diagnostics page.
+ *
+ * @return {Promise} A promise that resolves with a `{ url, tag, keyword, title, status, statusLabel, reason }`
+ *                   report for each tagged URL, problems first.
+ */
+MCS.diagnoseTaggedURLs = function () {
+    const tags = MCS.getSearchTagSections().map(section => section.tag);
+
+    const diagnosing = Array.from(MCS.getTaggedURLs(tags)).map(([url, tag]) =>
+        pKeywords.fetch({ url }).then(keywordResult => {
+            const report = { url, tag, keyword: "", title: "" };
+
+            if (!keywordResult) {
+                return Object.assign(report, { status: "missing-keyword", reason: _("reason_missing_keyword") });
+            }
+
+            const { bookmark, status, reason } = MCS.resolveKeywordResult(Object.assign({}, keywordResult, { tag }));
+            Object.assign(report, { keyword: keywordResult.keyword, status, reason });
+
+            if (!bookmark) {
+                return report;
+            }
+
+            report.title = bookmark.title;
+
+            return MCS.resolveBookmarkFavicon(bookmark).then(({ iconURL }) => {
+                if (status === "included" && iconURL === MCS.getDefaultFavicon()) {
+                    Object.assign(report, { status: "favicon-missing", reason: _("reason_favicon_missing") });
+                }
+
+                return report;
+            });
+        }).catch(e => ({ url, tag, keyword: "", title: "", status: "invalid-url", reason: String(e) })));
+
+    return Promise.all(diagnosing).then(reports => reports.sort((a, b) =>
+        MCS.diagnosticStatuses.indexOf(a.status) - MCS.diagnosticStatuses.indexOf(b.status) ||
+        a.url.localeCompare(b.url)).
+        map(report => Object.assign(report, { statusLabel: _(`status_${report.status.replace(/-/g, "_")}`) })));
+};
+
+/**
+ * Get the selected text from the currently active tab.
+ * There should be better ways to do this without using tabs.activeTab
+ * but since e10s, I can't find one that works consistently.
+ *
+ * @return {Promise} A promise that resolves with the selected text.
+ */
+MCS.getSelectedText = function () {
+    return MCS.getSelection().then(({ text }) => text);
+};
+
+/**
+ * Get the selected text from the currently active tab, and where it is.
+ *
+ * @return {Promise} A promise that resolves with the selection's `text`, and
+ *                   the `screenX` and `screenY` of its bottom left corner (null
+ *                   if nothing is selected), or rejects if the tab doesn't answer
+ *                   within `MCS.selectionTimeout`.
+ */
+MCS.getSelection = function () {
+    return new Promise((resolve, reject) => {
+        let timer = null;
+
+        const worker = tabs.activeTab.attach({
+            contentScriptFile: self.data.url("selection.js"),
+            onMessage(selection) {
+                clearTimeout(timer);
+                worker.destroy();
+                resolve(selection);
+            },
+            onError(e) {
+                clearTimeout(timer);
+                worker.destroy();
+                reject(e);
+            },
+        });
+
+        // Content scripts can't be attached to some pages, such as about: pages, and never answer there.
+        timer = setTimeout(() => {
+            worker.destroy();
+            reject(new Error(`getSelection - no answer from ${tabs.activeTab.url}`));
+        }, MCS.selectionTimeout);
+    });
+};
+
+// Hotkeys created from the `searchHotkey` and `pickerHotkey` preferences.
+MCS.hotkeys = [];
+
+// Preferences the hotkeys are created from.
+MCS.hotkeyPrefs = ["searchHotkey", "pickerHotkey"];
+
+/**
+ * Create the hotkeys set in the preferences, replacing any existing ones.
+ *
+ * @return {void}
+ */
+MCS.initHotkeys = function () {
+    MCS.destroyHotkeys();
+
+    const handlers = {
+        searchHotkey: MCS.searchSelectionWithMruEngine,
+        pickerHotkey: MCS.showEnginePicker,
+    };
+
+    MCS.hotkeyPrefs.forEach(name => {
+        const combo = MCS.getAddonPref(name).trim();
+        if (!combo) {
+            return;
+        }
+
+        try {
+            MCS.hotkeys.push(Hotkey({ combo, onPress: () => handlers[name]().catch(logError) }));
+        } catch (e) {
+            console.warn(`initHotkeys - invalid ${name} "${combo}"`, e);
+        }
+    });
+};
+
+/**
+ * @return {void}
+ */
+MCS.destroyHotkeys = function () {
+    MCS.hotkeys.forEach(hotkey => hotkey.destroy());
+    MCS.hotkeys = [];
+};
+
+/**
+ * The browser window and page a hotkey was pressed in, and the selection's search text.
+ *
+ * @return {Promise} A promise that resolves with `{ window, page, contextTexts, selection, anchor }`,
+ *                   or null if nothing is selected.
+ */
+MCS.getHotkeyContext = function () {
+    const window = Services.wm.getMostRecentWindow("navigator:browser");
+    if (!window) {
+        return Promise.resolve(null);
+    }
+
+    const page = MCS.getPageInfo({ browser: window.gBrowser.selectedBrowser });
+
+    return MCS.getSelection().then(selection => {
+        if (!selection.text.trim()) {
+            console.info("getHotkeyContext - nothing selected");
+            return null;
+        }
+
+        // Previews open below the selection.
+        const anchor = selection.screenX === null ? null : { screenX: selection.screenX, screenY: selection.screenY };
+
+        return { window, page, contextTexts: { selection: selection.text }, selection, anchor };
+    });
+};
+
+/**
+ * Search the selection with the most recently used engine, or the default one.
+ *
+ * @return {Promise} A promise that resolves once the search is opened.
+ */
+MCS.searchSelectionWithMruEngine = function () {
+    return MCS.getHotkeyContext().then(context => {
+        if (!context) {
+            return;
+        }
+
+        const { window, page, contextTexts, anchor } = context;
+
+        const engine = MCS.restoreMruEngine(MCS.getAvailableEngines(), page);
+
+        const search = MCS.getSearchTextForEngine(MCS.getEngineKey(engine), contextTexts);
+        if (!search) {
+            console.info(`searchSelectionWithMruEngine - "${engine.name}" doesn't search selections`);
+            return;
+        }
+
+        MCS.searchWithEngine({
+            window,
+            search: { engine, searchText: search.text },
+            page,
+            target: MCS.getClickTarget("left", MCS.getEngineKey(engine)),
+            anchor,
+        });
+    });
+};
+
+// What the engine picker was opened for, from `MCS.getHotkeyContext`.
+MCS.pickerContext = null;
+
+/**
+ * Show the engine picker below the selection, listing the engines and
+ * keyword bookmarks which search selections.
+ *
+ * @return {Promise} A promise that resolves once the picker is shown.
+ */
+MCS.showEnginePicker = function () {
+    return MCS.getHotkeyContext().then(context => {
+        if (!context) {
+            return;
+        }
+
+        const { window, contextTexts, selection } = context;
+
+        const engines = MCS.sortEngines(MCS.getAvailableEngines(), MCS.getEngineKey, engine => engine.name).
+            map(engine => ({
+                key: MCS.getEngineKey(engine),
+                name: engine.name,
+                iconURL: engine.iconURI ? engine.iconURI.spec : "",
+                keyword: engine.alias || "",
+            }));
+
+        const bookmarks = MCS.sortEngines(
+            MCS.bookmarkCache.bookmarks.slice(),
+            MCS.getBookmarkKey,
+            bookmark => bookmark.title
+        ).map(bookmark => ({
+            key: MCS.getBookmarkKey(bookmark),
+            name: bookmark.title,
+            iconURL: bookmark.iconURL,
+            keyword: bookmark.keyword,
+        }));
+
+        const items = engines.concat(bookmarks).filter(item => MCS.getSearchTextForEngine(item.key, contextTexts));
+        if (items.length === 0) {
+            return;
+        }
+
+        MCS.pickerContext = context;
+        MCS.enginePicker.port.emit("show", { items, text: selection.text });
+
+        // Panel positions are relative to the browser window.
+        let position;
+        if (selection.screenX !== null) {
+            position = {
+                left: selection.screenX - window.mozInnerScreenX,
+                top: selection.screenY - window.mozInnerScreenY,
+            };
+        }
+
+        MCS.enginePicker.show({ position });
+    });
+};
+
+/**
+ * An engine was picked in the engine picker: search the selection with it.
+ *
+ * @param  {String} key Key of the engine or keyword bookmark.
+ * @return {void}
+ */
+MCS.onEnginePicked = function (key) {
+    // Hiding the picker forgets its context, so take it first.
+    const context = MCS.pickerContext;
+    MCS.pickerContext = null;
+
+    MCS.enginePicker.hide();
+
+    if (!context) {
+        return;
+    }
+
+    const { window, page, contextTexts, anchor } = context;
+
+    const engine = MCS.getEngineForKey(key, MCS.bookmarkCache.bookmarks, page);
+    const search = engine && MCS.getSearchTextForEngine(key, contextTexts);
+    if (!search) {
+        console.warn(`onEnginePicked - can't search with "${key}"`);
+        return;
+    }
+
+    MCS.searchWithEngine({
+        window,
+        search: { engine, searchText: search.text },
+        page,
+        target: MCS.getClickTarget("left", key),
+        anchor,
+    });
+};
+
+// OpenSearch description namespaces. The keyword is kept in Firefox's `moz:` namespace, as `<moz:Alias>`.
+MCS.openSearchNS = "http://a9.com/-/spec/opensearch/1.1/";
+MCS.mozSearchNS = "http://www.mozilla.org/2006/browser/search/";
+
+// Values for the OpenSearch template parameters other than `{searchTerms}`, as Firefox fills them.
+MCS.openSearchParamDefaults = {
+    count: "20",
+    startIndex: "1",
+    startPage: "1",
+    language: "*",
+    outputEncoding: "UTF-8",
+};
+
+/**
+ * Convert a keyword bookmark into an OpenSearch description. Only `%s`
+ * placeholders and form-encoded POST bodies without custom headers have
+ * OpenSearch equivalents.
+ *
+ * @param  {Object} bookmark Bookmark object, with its charset and favicon.
+ * @return {Object} `{ xml }`, or `{ error }` if the bookmark can't be represented.
+ */
+MCS.bookmarkToOpenSearch = function (bookmark) {
+    const tokens = bookmark.urlTemplate.tokens.concat(bookmark.postDataTemplate.tokens);
+    if (tokens.some(token => typeof token !== "string" && (token.name !== "s" || token.raw))) {
+        return { error: _("opensearch_only_s", "%s") };
+    }
+
+    const isPost = Boolean(bookmark.postData);
+    if (isPost && bookmark.postContentType !== "application/x-www-form-urlencoded") {
+        return { error: _("opensearch_post_type", bookmark.postContentType) };
+    }
+
+    if (isPost && bookmark.postHeaders.length > 0) {
+        return { error: _("opensearch_headers") };
+    }
+
+    const escapeXML = MCS.getBodyEncoder("application/xml", "");
+
+    // Braces in literal text would be read as OpenSearch parameters.
+    const toOpenSearchTemplate = template => template.tokens.map(token =>
+        (typeof token === "string" ? token.replace(/[{}]/g, encodeURIComponent) : "{searchTerms}")).join("");
+
+    const lines = [
+        "<?xml version=\"1.0\" encoding=\"UTF-8\"?>",
+        `<OpenSearchDescription xmlns="${MCS.openSearchNS}" xmlns:moz="${MCS.mozSearchNS}">`,
+        `  <ShortName>${escapeXML(bookmark.title)}</ShortName>`,
+    ];
+
+    if (bookmark.description) {
+        lines.push(`  <Description>${escapeXML(bookmark.description)}</Description>`);
+    }
+
+    lines.push(`  <InputEncoding>${escapeXML(bookmark.charset)}</InputEncoding>`);
+
+    if (bookmark.iconURL && bookmark.iconURL !== MCS.getDefaultFavicon()) {
+        lines.push(`  <Image width="16" height="16">${escapeXML(bookmark.iconURL)}</Image>`);
+    }
+
+    const template = escapeXML(toOpenSearchTemplate(bookmark.urlTemplate));
+    if (isPost) {
+        lines.push(`  <Url type="text/html" method="POST" template="${template}">`);
+
+        // Params are stored decoded; escapes in other encodings than UTF-8, or stray `%`s, can't be.
+        const pairs = toOpenSearchTemplate(bookmark.postDataTemplate).split("&").filter(Boolean);
+        for (const pair of pairs) {
+            let name, value;
+            try {
+                [name, value = ""] = pair.split("=", 2).map(part => decodeURIComponent(part.replace(/\+/g, " ")));
+            } catch (e) {
+                return { error: _("opensearch_undecodable_param", pair) };
+            }
+
+            lines.push(`    <Param name="${escapeXML(name)}" value="${escapeXML(value)}"/>`);
+        }
+
+        lines.push("  </Url>");
+    } else {
+        lines.push(`  <Url type="text/html" method="GET" template="${template}"/>`);
+    }
+
+    lines.push(`  <moz:Alias>${escapeXML(bookmark.keyword)}</moz:Alias>`, "</OpenSearchDescription>", "");
+
+    return { xml: lines.join("\n") };
+};
+
+/**
+ * Replace the parameters of an OpenSearch template with keyword bookmark
+ * placeholders or fixed values. Unknown optional parameters are left empty.
  *
- * @param  {Object} bookmark A bookmark object.
- * @return {Promise} A promise that resolves with the bookmark object with its favicon data added.
+ * @param  {String} template OpenSearch URL template or parameter value.
+ * @param  {Object} values Values for parameters other than `{searchTerms}`.
+ * @return {Object} `{ template, errors }`, errors listing unsupported required parameters.
  */
-MCS.resolveBookmarkFavicon = function (bookmark) {
-    return promiseFaviconData(bookmark.url).then(data => {
-        if (data.dataLen === 0) {
-            return MCS.getDefaultFavicon();
+MCS.fillOpenSearchTemplate = function (template, values) {
+    const errors = [];
+
+    // `%` is only literal in keyword bookmark templates when escaped.
+    const filled = template.replace(/%(?![0-9a-f]{2})/gi, "%%").replace(/\{([^{}]*)\}/g, (match, param) => {
+        const name = param.replace(/\?$/, "");
+
+        if (name === "searchTerms") {
+            return "%s";
         }
 
-        const rawCharData = String.fromCharCode.apply(null, data.data);
-        const encodedData = base64.encode(rawCharData);
+        if (name in values) {
+            return values[name];
+        }
 
-        const dataURI = `data:${data.mimeType};base64,${encodedData}`;
+        if (!param.endsWith("?")) {
+            errors.push(_("opensearch_unsupported_param", match));
+        }
 
-        return Object.assign(bookmark, { iconURL: dataURI });
-    }).catch(e => {
-        console.error("promiseFaviconData failed", e);
+        return "";
+    });
+
+    return { template: filled, errors };
+};
+
+/**
+ * Convert an OpenSearch description into a keyword bookmark, from its first
+ * HTML results URL.
+ *
+ * @param  {String} xml The OpenSearch description.
+ * @return {Object} `{ bookmark }` with `title`, `keyword`, `url`, `postData`,
+ *                  `description`, `charset` and `iconURL`, or `{ error }` if
+ *                  the description can't be represented.
+ */
+MCS.openSearchToBookmark = function (xml) {
+    const root = newDOMParser().parseFromString(xml, "application/xml").documentElement;
+
+    if (root.localName === "parsererror") {
+        return { error: _("opensearch_not_xml") };
+    }
+
+    if (root.localName !== "OpenSearchDescription" && root.localName !== "SearchPlugin") {
+        return { error: _("opensearch_not_description") };
+    }
+
+    const elements = Array.from(root.children);
+    const getText = name => elements.filter(element => element.localName === name).
+        map(element => element.textContent.trim()).find(Boolean) || "";
+
+    const title = getText("ShortName");
+    if (!title) {
+        return { error: _("opensearch_no_shortname") };
+    }
+
+    const urlElement = elements.find(element => element.localName === "Url" &&
+        (element.getAttribute("type") || "text/html") === "text/html" &&
+        (element.getAttribute("rel") || "results").split(/\s+/).indexOf("results") !== -1);
+    if (!urlElement) {
+        return { error: _("opensearch_no_results_url") };
+    }
 
-        return Object.assign(bookmark, { iconURL: MCS.getDefaultFavicon() });
+    const charset = getText("InputEncoding") || "UTF-8";
+    const values = Object.assign({}, MCS.openSearchParamDefaults, {
+        inputEncoding: charset,
+        startIndex: urlElement.getAttribute("indexOffset") || MCS.openSearchParamDefaults.startIndex,
+        startPage: urlElement.getAttribute("pageOffset") || MCS.openSearchParamDefaults.startPage,
     });
+
+    // Param values are form-encoded around their parameters.
+    const encodeParam = value => value.split(/(\{[^{}]*\})/).
+        map((part, i) => (i % 2 === 1 ? part : encodeURIComponent(part))).join("");
+    const params = Array.from(urlElement.children).
+        filter(element => element.localName === "Param").
+        map(element => [element.getAttribute("name"), element.getAttribute("value") || ""]).
+        map(([name, value]) => `${encodeURIComponent(name)}=${encodeParam(value)}`).
+        join("&");
+
+    const isPost = (urlElement.getAttribute("method") || "GET").toUpperCase() === "POST";
+
+    let urlTemplate = urlElement.getAttribute("template") || "";
+    if (params && !isPost) {
+        urlTemplate += (urlTemplate.indexOf("?") === -1 ? "?" : "&") + params;
+    }
+
+    const url = MCS.fillOpenSearchTemplate(urlTemplate, values);
+    const postData = MCS.fillOpenSearchTemplate(isPost ? params : "", values);
+
+    const errors = url.errors.concat(postData.errors);
+    if (errors.length > 0) {
+        return { error: errors.join(", ") };
+    }
+
+    if (url.template.indexOf("%s") === -1 && postData.template.indexOf("%s") === -1) {
+        return { error: _("opensearch_no_search_terms") };
+    }
+
+    try {
+        Services.io.newURI(url.template);
+    } catch (e) {
+        return { error: _("opensearch_invalid_url", url.template) };
+    }
+
+    const iconURL = getText("Image");
+    const keyword = getText("Alias") || title.toLowerCase().replace(/[^\w.-]+/g, "");
+
+    return {
+        bookmark: {
+            title,
+            keyword: keyword || "search",
+            url: url.template,
+            postData: postData.template,
+            description: getText("Description"),
+            charset,
+            iconURL: /^(data|https?):/.test(iconURL) ? iconURL : "",
+        },
+    };
 };
 
 /**
- * Process the combined keyword, bookmark, and favicon data (herein "bookmarks").
- * Create a menuitem for each bookmark and append it to the menupopup.
+ * @param  {String} keyword Wanted keyword.
+ * @return {Promise} A promise that resolves with the keyword, numbered if it's already in use.
+ */
+MCS.promiseUnusedKeyword = function (keyword) {
+    const tryKeyword = (n) => {
+        const candidate = n > 1 ? `${keyword}${n}` : keyword;
+
+        return pKeywords.fetch(candidate).then(entry => (entry ? tryKeyword(n + 1) : candidate));
+    };
+
+    return tryKeyword(1);
+};
+
+/**
+ * Create a tagged keyword bookmark, in Other Bookmarks.
  *
- * @param {Array<Object>} options.bookmarks Bookmark objects
- * @param {Boolean} options.prependSeparator If true, prepend a separator before the keyword bookmarks menuitems
- * @param {String} options.searchText Selected text to search
- * @param {XULElement} options.menupopup Menupopup element to populate
+ * @param  {Object} bookmark Bookmark `title`, `keyword`, `url`, `postData`, `description`, `charset`
+ *                           and `iconURL`, as from `MCS.openSearchToBookmark`.
+ * @param  {String} tag Tag to give the bookmark.
+ * @return {Promise} A promise that resolves with the keyword given to the bookmark.
+ */
+MCS.insertKeywordBookmark = function (bookmark, tag) {
+    const { title, url, postData, description, charset, iconURL } = bookmark;
+    const uri = Services.io.newURI(url);
+
+    return MCS.promiseUnusedKeyword(bookmark.keyword).then(keyword =>
+        pBookmarks.insert({ parentGuid: pBookmarks.unfiledGuid, url, title }).
+            then(item => PlacesUtils.promiseItemId(item.guid)).
+            then(itemId => {
+                if (description) {
+                    pAnnotations.setItemAnnotation(itemId, "bookmarkProperties/description", description,
+                        0, pAnnotations.EXPIRE_NEVER);
+                }
+
+                pTagging.tagURI(uri, [tag]);
+
+                if (iconURL) {
+                    pFavicons.setAndFetchFaviconForPage(uri, Services.io.newURI(iconURL), false,
+                        pFavicons.FAVICON_LOAD_NON_PRIVATE, null, Services.scriptSecurityManager.getSystemPrincipal());
+                }
+
+                // Keyword POST data is stored escaped, see `MCS.keywordResultToBookmark`.
+                return Promise.all([
+                    pKeywords.insert({ keyword, url, postData: postData ? encodeURIComponent(postData) : null }),
+                    /^utf-?8$/i.test(charset) ? null : PlacesUtils.setCharsetForURI(uri, charset),
+                ]);
+            }).
+            then(() => keyword));
+};
+
+/**
+ * "Add as Context Search…" was chosen on a search field: ask the page for
+ * the field's form, as Firefox does for "Add a Keyword for this Search…".
+ *
+ * @param  {Event} event The "command" event object.
  * @return {void}
  */
-MCS.addKeywordBookmarksMenuitems = function ({
-    bookmarks,
-    prependSeparator,
-    searchText,
-    menupopup,
-}) {
-    console.log("adding keyword bookmarks", bookmarks);
+MCS.onAddSearchCommand = function (event) {
+    const window = event.view;
+    const { gBrowser, gContextMenu } = window;
 
-    if (bookmarks.length === 0) {
-        return;
+    const messageManager = gBrowser.selectedBrowser.messageManager;
+    const iconURL = gBrowser.getIcon() || "";
+
+    const onMessage = ({ data }) => {
+        messageManager.removeMessageListener("ContextMenu:SearchFieldBookmarkData:Result", onMessage);
+
+        MCS.promptSearchBookmark(window, Object.assign({}, data, { iconURL })).catch(logError);
+    };
+
+    messageManager.addMessageListener("ContextMenu:SearchFieldBookmarkData:Result", onMessage);
+    messageManager.sendAsyncMessage("ContextMenu:SearchFieldBookmarkData", {}, { target: gContextMenu.target });
+};
+
+/**
+ * Ask for the title and keyword of a search field's keyword bookmark, then
+ * create it with the first search tag.
+ *
+ * @param  {ChromeWindow} window The browser window.
+ * @param  {Object} data The field's `spec`, `title`, `description`, `postData`, `charset` and `iconURL`.
+ * @return {Promise} A promise that resolves once the bookmark is created, or the user cancelled.
+ */
+MCS.promptSearchBookmark = function (window, data) {
+    const section = MCS.getSearchTagSections()[0];
+    const dialogTitle = _("add_search_title");
+
+    const title = { value: data.title || "" };
+    if (!section || !Services.prompt.prompt(window, dialogTitle, _("add_search_name"), title, null, {}) || !title.value.trim()) {
+        return Promise.resolve();
     }
 
-    const { ownerDocument: document } = menupopup;
+    // Form data may come escaped, like keyword POST data, or as-is.
+    let postData = data.postData || "";
+    try {
+        postData = decodeURIComponent(postData);
+    } catch (e) {
+        // Not escaped; `%s` isn't a valid escape.
+    }
 
-    if (prependSeparator) {
-        menupopup.appendChild(document.createElement("menuseparator"));
+    const askKeyword = (text, suggestion) => {
+        const keyword = { value: suggestion };
+        if (!Services.prompt.prompt(window, dialogTitle, text, keyword, null, {}) || !keyword.value.trim()) {
+            return Promise.resolve(null);
+        }
+
+        const wanted = keyword.value.trim();
+
+        return pKeywords.fetch(wanted).then(entry => (entry ?
+            askKeyword(_("add_search_keyword_in_use", wanted, entry.url.href), wanted) :
+            wanted));
+    };
+
+    return askKeyword(_("add_search_keyword"), "").then(keyword => {
+        if (!keyword) {
+            return null;
+        }
+
+        return MCS.insertKeywordBookmark({
+            title: title.value.trim(),
+            keyword,
+            url: data.spec,
+            postData,
+            description: data.description || "",
+            charset: data.charset || "UTF-8",
+            iconURL: /^(data|https?):/.test(data.iconURL) ? data.iconURL : "",
+        }, section.tag);
+    });
+};
+
+/**
+ * Let the user choose files or a folder.
+ *
+ * @param  {String} title Title of the file picker.
+ * @param  {Number} mode One of the `Ci.nsIFilePicker` modes.
+ * @return {Promise} A promise that resolves with the file picker, or null if it was cancelled.
+ */
+MCS.promiseFilePicker = function (title, mode) {
+    const picker = newFilePicker();
+
+    picker.init(Services.wm.getMostRecentWindow("navigator:browser"), title, mode);
+    if (mode !== Ci.nsIFilePicker.modeGetFolder) {
+        picker.appendFilter(_("opensearch_filter"), "*.xml");
+        picker.appendFilters(Ci.nsIFilePicker.filterAll);
     }
 
-    bookmarks.forEach(bookmark => {
-        MCS.addKeywordBookmarkMenuitem({ bookmark, searchText, menupopup });
+    return new Promise(resolve => picker.open(result => {
+        resolve(result === Ci.nsIFilePicker.returnCancel ? null : picker);
+    }));
+};
+
+/**
+ * Export the tagged keyword bookmarks to a folder the user chooses, as one
+ * OpenSearch description file per bookmark, named after its keyword.
+ *
+ * @return {Promise} A promise that resolves with a `{ action, done, skipped, renamed }`
+ *                   report, or null if the user cancelled.
+ */
+MCS.exportOpenSearch = function () {
+    const tags = MCS.getSearchTagSections().map(section => section.tag);
+
+    return MCS.promiseFilePicker(_("export_picker_title"), Ci.nsIFilePicker.modeGetFolder).then(picker => {
+        if (!picker) {
+            return null;
+        }
+
+        const report = { action: "export", done: [], skipped: [], renamed: [] };
+
+        // Lower case file names taken by this export, for case-insensitive file systems.
+        const fileNames = new Set();
+
+        return MCS.promiseTaggedBookmarks(tags).
+            then(bookmarks => Promise.all(bookmarks.map(bookmark =>
+                MCS.writeOpenSearchFile(bookmark, picker.file.path, report, fileNames)))).
+            then(() => report);
     });
 };
 
 /**
- * Create a menuitem for the bookmark and append it to the menupopup.
+ * Write a bookmark's OpenSearch description into a folder, named after its
+ * keyword. Files are never overwritten: when the name is taken, by an existing
+ * file or another keyword with the same file name, a number is appended.
  *
- * @param {Object} options.bookmark Bookmark object
- * @param {String} options.searchText Selected text to search
- * @param {XULElement} options.menupopup Menupopup element to populate
- * @return {void}
+ * @param  {Object} bookmark Bookmark object, with its charset and favicon.
+ * @param  {String} folder Path of the folder.
+ * @param  {Object} report Export report, from `MCS.exportOpenSearch`, to add the outcome to.
+ * @param  {Set<String>} fileNames Lower case names of the files this export writes, to add to.
+ * @return {Promise} A promise that resolves once the file is written or skipped.
  */
-MCS.addKeywordBookmarkMenuitem = function ({ bookmark, searchText, menupopup }) {
-    const { ownerDocument: document } = menupopup;
+MCS.writeOpenSearchFile = function (bookmark, folder, report, fileNames) {
+    const { xml, error } = MCS.bookmarkToOpenSearch(bookmark);
+    if (error) {
+        report.skipped.push({ name: bookmark.title, reason: error });
+        return Promise.resolve();
+    }
 
-    const menuitem = document.createElement("menuitem");
+    const baseName = bookmark.keyword.replace(/[^\w.-]/g, "_");
+    const preferredName = `${baseName}.xml`;
 
-    menuitem.setAttribute("label", bookmark.title);
-    menuitem.setAttribute("class", "menuitem-iconic");
-    menuitem.setAttribute("image", bookmark.iconURL);
-    menuitem.setAttribute("searchtext", searchText);
-    menuitem.setAttribute("tooltiptext", bookmark.description || "");
-    // menuitem.setAttribute("accesskey", bookmark.title.slice(0, 1));
+    const write = (n) => {
+        const fileName = n > 1 ? `${baseName}-${n}.xml` : preferredName;
+        if (fileNames.has(fileName.toLowerCase())) {
+            return write(n + 1);
+        }
 
-    // Create a fake "engine" object
-    menuitem.engine = {
-        url: bookmark.url,
-        postData: bookmark.postData,
-        description: bookmark.description,
-        getSubmission: (searchText) => {
-            const encodedText = encodeURIComponent(searchText).replace(/%20/g, "+");
-            const url = bookmark.url.replace(/%s/g, encodedText);
-            const uri = Services.io.newURI(url);
-
-            let postData = null;
-            if (bookmark.postData) {
-                const stringStream = newStringInputStream();
-                stringStream.data = bookmark.postData.replace(/%s/g, encodedText);
-                postData = newMIMEInputStream();
-                postData.addHeader("Content-Type", "application/x-www-form-urlencoded");
-                postData.addContentLength = true;
-                postData.setData(stringStream);
-            }
+        fileNames.add(fileName.toLowerCase());
 
-            return { uri, postData };
-        },
+        return OS.File.writeAtomic(OS.Path.join(folder, fileName), xml, { encoding: "utf-8", noOverwrite: true }).
+            then(() => fileName, e => {
+                if (e instanceof OS.File.Error && e.becauseExists) {
+                    return write(n + 1);
+                }
+
+                throw e;
+            });
     };
 
-    menupopup.appendChild(menuitem);
+    return write(1).then(fileName => {
+        report.done.push(bookmark.title);
+
+        if (fileName !== preferredName) {
+            report.renamed.push({ name: bookmark.title, reason: _("opensearch_renamed", fileName, preferredName) });
+        }
+    }, e => report.skipped.push({ name: bookmark.title, reason: String(e) }));
+};
+
+/**
+ * Import OpenSearch description files the user chooses as keyword bookmarks,
+ * tagged with the first search tag.
+ *
+ * @return {Promise} A promise that resolves with a `{ action, done, skipped }`
+ *                   report, or null if the user cancelled.
+ */
+MCS.importOpenSearch = function () {
+    const report = { action: "import", done: [], skipped: [] };
+
+    const section = MCS.getSearchTagSections()[0];
+    if (!section) {
+        report.skipped.push({ name: "", reason: _("opensearch_no_tag") });
+        return Promise.resolve(report);
+    }
+
+    return MCS.promiseFilePicker(_("import_picker_title"), Ci.nsIFilePicker.modeOpenMultiple).then(picker => {
+        if (!picker) {
+            return null;
+        }
+
+        const files = [];
+        const enumerator = picker.files;
+        while (enumerator.hasMoreElements()) {
+            files.push(enumerator.getNext().QueryInterface(Ci.nsIFile));
+        }
+
+        // One at a time, so descriptions with the same keyword get distinct ones.
+        return files.reduce((importing, file) =>
+            importing.then(() => MCS.readOpenSearchFile(file, section.tag, report)), Promise.resolve()).
+            then(() => report);
+    });
 };
 
 /**
- * @param  {Array<Object>} bookmarks Array of bookmark objects
- * @return {Array<Object>} The bookmarks sorted by title.
+ * Import an OpenSearch description file as a keyword bookmark.
+ *
+ * @param  {nsIFile} file The OpenSearch description file.
+ * @param  {String} tag Tag to give the bookmark.
+ * @param  {Object} report Import report, from `MCS.importOpenSearch`, to add the outcome to.
+ * @return {Promise} A promise that resolves once the bookmark is created or skipped.
  */
-MCS.sortBookmarksByTitle = function (bookmarks) {
-    return bookmarks.sort((a, b) => a.title.localeCompare(b.title));
+MCS.readOpenSearchFile = function (file, tag, report) {
+    return OS.File.read(file.path, { encoding: "utf-8" }).then(xml => {
+        const { bookmark, error } = MCS.openSearchToBookmark(xml);
+        if (error) {
+            report.skipped.push({ name: file.leafName, reason: error });
+            return null;
+        }
+
+        return MCS.insertKeywordBookmark(bookmark, tag).
+            then(keyword => report.done.push(`${bookmark.title} (${keyword})`));
+    }).catch(e => report.skipped.push({ name: file.leafName, reason: String(e) }));
 };
 
 /**
- * @param  {String} tag The tag to find keyword bookmarks for.
- * @return {Promise} A promise that resolves with an array of keyword bookmark results.
+ * Add a search to `storage.searchHistory`, newest first, unless it's made in
+ * or opens a private window, or the history is turned off.
+ *
+ * @param  {ChromeWindow} options.window The browser window the search is made from.
+ * @param  {Object} options.search The `{ engine, searchText }` search.
+ * @param  {Object} options.page Page the search is made from, from `MCS.getPageInfo`.
+ * @param  {String} options.target Where the search opens, one of `MCS.clickTargets`.
+ * @return {void}
  */
-MCS.getKeywordBookmarksForTag = function (tag) {
-    // @var {Array<Ci.nsIURI>}
-    const uris = pTagging.getURIsForTag(tag);
+MCS.logSearch = function ({ window, search, page, target }) {
+    const maxLength = MCS.getAddonPref("searchHistoryLength");
+    if (maxLength <= 0 || target === "private" || isPrivate(window)) {
+        return;
+    }
 
-    const urls = uris.map(uri => uri.spec);
+    const entry = {
+        time: Date.now(),
+        key: MCS.getEngineKey(search.engine),
+        engine: search.engine.name,
+        query: search.searchText,
+        page,
+        target,
+    };
 
-    // @var {Array<Promise>}
-    const fetchingKeywords = urls.map(url => pKeywords.fetch({ url }));
+    storage.searchHistory = [entry].concat(storage.searchHistory || []).slice(0, maxLength);
+};
+
+/**
+ * @return {Object} Localized strings for the search history page: `targets`,
+ *                  labels for where searches opened, and `searchAgain`.
+ */
+MCS.getHistoryStrings = function () {
+    const targets = {};
+    Object.keys(MCS.clickTargets).forEach(target => {
+        targets[target] = _(`target_${target}`);
+    });
 
-    return Promise.all(fetchingKeywords);
+    return { targets, searchAgain: _("history_search_again") };
 };
 
 /**
- * Get the selected text from the currently active tab.
- * There should be better ways to do this without using tabs.activeTab
- * but since e10s, I can't find one that works consistently.
+ * Search for a search history entry again, in a new tab.
  *
- * @return {Promise} A promise that resolves with the selected text.
+ * @param  {Object} entry The search history entry.
+ * @return {Boolean} False if its engine or bookmark is gone.
  */
-MCS.getSelectedText = function () {
-    return new Promise((resolve, reject) => {
-        tabs.activeTab.attach({
-            contentScript: "self.postMessage(String(getSelection()));",
-            onMessage: resolve,
-            onError: reject,
-        });
+MCS.rerunSearch = function ({ key, query, page }) {
+    const window = Services.wm.getMostRecentWindow("navigator:browser");
+    const engine = window && MCS.getEngineForKey(key, MCS.bookmarkCache.bookmarks, page);
+    if (!engine) {
+        console.warn(`rerunSearch - no engine for "${key}"`);
+        return false;
+    }
+
+    const search = { engine, searchText: query };
+
+    MCS.logSearch({ window, search, page, target: "foreground" });
+    MCS.openSearch({
+        window,
+        search,
+        whereToOpen: "tab",
+        inBackground: false,
+        userContextId: MCS.getUserContextId(window, key),
     });
+
+    return true;
+};
+
+/**
+ * Current settings and choices, for the options page.
+ *
+ * @return {Object} The `prefs`, with defaults applied, the visible built-in `engines`, and
+ *                  localized `strings` for the page's script.
+ */
+MCS.getOptionsState = function () {
+    const prefs = {};
+    Object.keys(MCS.defaultPrefs).forEach(name => {
+        prefs[name] = MCS.getAddonPref(name);
+    });
+
+    const engines = Services.search.getVisibleEngines().map(engine => ({
+        key: MCS.getEngineKey(engine),
+        name: engine.name,
+        iconURL: engine.iconURI ? engine.iconURI.spec : "",
+    }));
+
+    return { prefs, engines, strings: { remove: _("options_remove") } };
+};
+
+/**
+ * Set an add-on preference from the options page.
+ *
+ * @param  {String} options.name Preference name, relative to the add-on's branch.
+ * @param  {*} options.value New value; must match the type of the preference's default.
+ * @return {void}
+ */
+MCS.setOption = function ({ name, value }) {
+    if (!(name in MCS.defaultPrefs)) {
+        console.warn(`setOption - unknown preference "${name}"`);
+        return;
+    }
+
+    if (typeof value !== typeof MCS.defaultPrefs[name]) {
+        console.warn(`setOption - expected a ${typeof MCS.defaultPrefs[name]} for "${name}"`, value);
+        return;
+    }
+
+    setPref(`${self.id}.${name}`, value);
+};
+
+/**
+ * Open the options page, or switch to it if it's already open.
+ *
+ * @return {void}
+ */
+MCS.openOptions = function () {
+    const url = self.data.url("options.html");
+
+    for (const tab of tabs) {
+        if (tab.url === url) {
+            tab.activate();
+            return;
+        }
+    }
+
+    tabs.open(url);
+};
+
+/**
+ * @param  {Object} worker The options page's worker.
+ * @param  {Promise} reporting A promise of an export or import report, or of null if it was cancelled.
+ * @return {void}
+ */
+MCS.sendOpenSearchReport = function (worker, reporting) {
+    reporting.then(report => {
+        if (report) {
+            const key = report.action === "export" ? "report_exported" : "report_imported";
+            const summary = _(key, report.done.length, report.skipped.length);
+
+            worker.port.emit("openSearchReport", Object.assign(report, { summary }));
+        }
+    }).catch(logError);
 };
 
 /**
@@ -666,12 +3161,98 @@ function forEachBrowserWindow(callback) {
     }
 }
 
+/**
+ * Rebuild #mcs-menu in every browser window, after preferences it depends on changed.
+ *
+ * @return {void}
+ */
+MCS.reinitWindows = function () {
+    forEachBrowserWindow(window => {
+        MCS.uninitWindow(window);
+        MCS.initWindow(window);
+    });
+};
+
 exports.main = function (options, callbacks) {
+    // Resolve keyword bookmarks up front, rather than each time the context menu opens.
+    MCS.startBookmarkCache();
+
     // Handle existing windows.
     forEachBrowserWindow(MCS.initWindow);
 
     // Handle any newly opened windows.
     Services.wm.addListener(MCS.windowListener);
+
+    // Apply changes made on the options page to every window.
+    MCS.windowPrefs.forEach(name => MCS.prefs.on(name, MCS.reinitWindows));
+
+    MCS.optionsPageMod = PageMod({
+        include: self.data.url("options.html"),
+        contentScriptFile: self.data.url("options.js"),
+        contentScriptWhen: "ready",
+        onAttach(worker) {
+            worker.port.emit("init", MCS.getOptionsState());
+            worker.port.on("set", MCS.setOption);
+            worker.port.on("exportOpenSearch", () => MCS.sendOpenSearchReport(worker, MCS.exportOpenSearch()));
+            worker.port.on("importOpenSearch", () => MCS.sendOpenSearchReport(worker, MCS.importOpenSearch()));
+        },
+    });
+
+    MCS.historyPageMod = PageMod({
+        include: self.data.url("history.html"),
+        contentScriptFile: self.data.url("history.js"),
+        contentScriptWhen: "ready",
+        onAttach(worker) {
+            const sendEntries = () => worker.port.emit("entries", storage.searchHistory || []);
+
+            worker.port.emit("strings", MCS.getHistoryStrings());
+            sendEntries();
+            worker.port.on("rerun", entry => {
+                if (!MCS.rerunSearch(entry)) {
+                    worker.port.emit("rerunFailed", _("history_engine_gone", entry.engine));
+                }
+                sendEntries();
+            });
+            worker.port.on("clear", () => {
+                const window = Services.wm.getMostRecentWindow("navigator:browser");
+                if (Services.prompt.confirm(window, _("prompt_title"), _("confirm_clear_history"))) {
+                    storage.searchHistory = [];
+                    sendEntries();
+                }
+            });
+        },
+    });
+
+    MCS.diagnosticsPageMod = PageMod({
+        include: self.data.url("diagnostics.html"),
+        contentScriptFile: self.data.url("diagnostics.js"),
+        contentScriptWhen: "ready",
+        onAttach(worker) {
+            const sendReports = () => MCS.diagnoseTaggedURLs().
+                then(reports => worker.port.emit("reports", reports)).
+                catch(logError);
+
+            sendReports();
+            worker.port.on("refresh", sendReports);
+        },
+    });
+
+    MCS.enginePicker = Panel({
+        contentURL: self.data.url("picker.html"),
+        contentScriptFile: self.data.url("picker.js"),
+        width: 280,
+        height: 320,
+        onHide: () => {
+            MCS.pickerContext = null;
+        },
+    });
+    MCS.enginePicker.port.on("pick", MCS.onEnginePicked);
+    MCS.enginePicker.port.on("close", () => MCS.enginePicker.hide());
+
+    MCS.initHotkeys();
+    MCS.hotkeyPrefs.forEach(name => MCS.prefs.on(name, MCS.initHotkeys));
+
+    simplePrefs.on("openOptions", MCS.openOptions);
 };
 
 exports.onUnload = function (reason) {
@@ -683,6 +3264,17 @@ exports.onUnload = function (reason) {
     // Stop handling newly opened windows.
     Services.wm.removeListener(MCS.windowListener);
 
+    MCS.stopBookmarkCache();
+
+    MCS.windowPrefs.forEach(name => MCS.prefs.removeListener(name, MCS.reinitWindows));
+    MCS.optionsPageMod.destroy();
+    MCS.historyPageMod.destroy();
+    MCS.diagnosticsPageMod.destroy();
+    MCS.enginePicker.destroy();
+    MCS.hotkeyPrefs.forEach(name => MCS.prefs.removeListener(name, MCS.initHotkeys));
+    MCS.destroyHotkeys();
+    simplePrefs.removeListener("openOptions", MCS.openOptions);
+
     // Unload from existing windows.
     forEachBrowserWindow(MCS.uninitWindow);
 };
@@ -0,0 +1,272 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Resolving keyword search results into the bookmark objects the menu is built from.
+ *
+ * `places` reads bookmarks by item id:
+ *
+ * - `newURI(spec)`: a URI, or throws if the spec can't be parsed.
+ * - `getBookmarkIds(uri)`: ids of the bookmarks (not folders or separators) for the URI.
+ * - `getItemTitle(id)`, `getItemDescription(id)`: the item's title and description, or "".
+ * - `getFolderId(id)`: id of the folder containing the item.
+ * - `rootFolderId`: id of the Places root, above every bookmark folder.
+ *
+ * @param  {Object} options.places Bookmark access, as above.
+ * @param  {Object} options.templates Template functions, from `lib/templates`.
+ * @param  {Function} options.l10n Looks up a localized string, as `sdk/l10n`'s `get`.
+ * @param  {Object} options.console Console to log to.
+ * @return {Object} The bookmark functions.
+ */
+function createBookmarks({ places, templates, l10n, console }) {
+    const bookmarks = {};
+
+    // Statuses of tagged URLs on the diagnostics page, from left out of the menu to included.
+    bookmarks.diagnosticStatuses = [
+        "missing-keyword",
+        "not-bookmarked",
+        "invalid-url",
+        "no-placeholder",
+        "template-problem",
+        "duplicate",
+        "favicon-missing",
+        "included",
+    ];
+
+    /**
+     * Resolve bookmark information for each keyword search result.
+     *
+     * @param  {Array<Object>} keywordResults Array of keyword search result objects.
+     * @return {Array<Object>} Array of keyword result objects.
+     */
+    bookmarks.keywordResultsToBookmarks = function (keywordResults) {
+        return keywordResults.map(bookmarks.keywordResultToBookmark).filter(Boolean);
+    };
+
+    /**
+     * Resolve bookmark information for the keyword search result.
+     *
+     * @param  {Object} keywordResult Keyword search result object.
+     * @return {Object|null} Bookmark object with keyword result data, or null if invalid.
+     */
+    bookmarks.keywordResultToBookmark = function (keywordResult) {
+        const { bookmark, status, reason } = bookmarks.resolveKeywordResult(keywordResult);
+
+        if (status === "invalid-url") {
+            console.warn(`keywordResultToBookmark - ignoring "${keywordResult.keyword}", ${reason}`);
+        }
+
+        return bookmark;
+    };
+
+    /**
+     * Resolve bookmark information for the keyword search result, or why it
+     * can't be used.
+     *
+     * @param  {Object} keywordResult Keyword search result object.
+     * @return {Object} `{ bookmark, status, reason }`: the bookmark object, or
+     *                  null if it's left out, and a status from `diagnosticStatuses`
+     *                  with the reason for it.
+     */
+    bookmarks.resolveKeywordResult = function (keywordResult) {
+        const keyword = keywordResult.keyword;
+        const url = keywordResult.url.href;
+
+        let uri;
+        try {
+            uri = places.newURI(url);
+        } catch (e) {
+            return { bookmark: null, status: "invalid-url", reason: l10n("reason_unparsable_url") };
+        }
+
+        // if it's bookmarked multiple times, just take the first URI one since
+        // there's no way to associate {tag} <=> {bookmark} <=> {keyword}
+        const bookmarkIds = places.getBookmarkIds(uri);
+        const bookmarkId = bookmarkIds[0];
+
+        if (!bookmarkId) {
+            return { bookmark: null, status: "not-bookmarked", reason: l10n("reason_not_bookmarked") };
+        }
+
+        // The description may declare a POST body, its content type and headers.
+        const directives = bookmarks.parseDescriptionDirectives(places.getItemDescription(bookmarkId));
+
+        // Keyword POST data is stored escaped, unless it has a stray `%` that can't be unescaped.
+        let postData = keywordResult.postData || "";
+        try {
+            postData = decodeURIComponent(postData);
+        } catch (e) {
+            // Keep it as it is.
+        }
+
+        let postContentType = "application/x-www-form-urlencoded";
+        if (directives.body !== null) {
+            postData = directives.body;
+            postContentType = directives.contentType || "application/json";
+        } else if (directives.contentType) {
+            postContentType = directives.contentType;
+        }
+
+        const urlTemplate = templates.parseTemplate(url);
+        const postDataTemplate = templates.parseTemplate(postData);
+
+        // only keep those which have a search param (`%s` etc.), not shortcut bookmarks.
+        if (!(templates.isTemplateDynamic(urlTemplate) || templates.isTemplateDynamic(postDataTemplate))) {
+            return { bookmark: null, status: "no-placeholder", reason: l10n("reason_no_placeholder") };
+        }
+
+        const title = places.getItemTitle(bookmarkId);
+
+        const bookmark = {
+            id: bookmarkId,
+            description: directives.description,
+            title,
+            url,
+            keyword,
+            iconURL: "",
+            postData,
+            postContentType,
+            postHeaders: directives.headers,
+            urlTemplate,
+            postDataTemplate,
+            folders: bookmarks.getBookmarkFolders(bookmarkId),
+            tag: keywordResult.tag,
+        };
+
+        // Problems with placeholders don't keep the bookmark out of the menu, they're used as literal text.
+        const templateErrors = urlTemplate.errors.concat(postDataTemplate.errors);
+        if (templateErrors.length > 0) {
+            return {
+                bookmark,
+                status: "template-problem",
+                reason: l10n("reason_invalid_template", templateErrors.join(", ")),
+            };
+        }
+
+        if (bookmarkIds.length > 1) {
+            return {
+                bookmark,
+                status: "duplicate",
+                reason: l10n("reason_duplicate", bookmarkIds.length, title),
+            };
+        }
+
+        return { bookmark, status: "included", reason: "" };
+    };
+
+    /**
+     * Split the directives out of a bookmark description. Directives are lines
+     * starting with:
+     *
+     * - `@content-type <type>`: content type of the POST body.
+     * - `@header <Name>: <value>`: a header sent with the POST body.
+     * - `@body <template>`: the POST body, a template as in `parseTemplate`,
+     *   whose placeholders are escaped for the content type. Everything after
+     *   `@body` (including later lines) is the body.
+     *
+     * Any other line, even one starting with "@", is part of the description.
+     *
+     * @param  {String} description The bookmark description.
+     * @return {Object} The remaining `description`, `contentType`, `headers` (as
+     *                  `[name, value]` pairs) and `body` (null if none).
+     */
+    bookmarks.parseDescriptionDirectives = function (description) {
+        const result = { description: "", contentType: "", headers: [], body: null };
+        const lines = [];
+
+        const bodyStart = description.search(/^@body\b/m);
+        const head = bodyStart === -1 ? description : description.slice(0, bodyStart);
+        if (bodyStart !== -1) {
+            result.body = description.slice(bodyStart + "@body".length).trim();
+        }
+
+        head.split(/\r?\n/).forEach(line => {
+            let match;
+
+            if ((match = /^@content-type\s+(\S+)\s*$/.exec(line))) {
+                result.contentType = match[1];
+            } else if ((match = /^@header\s+([\w-]+)\s*:\s*(.*)$/.exec(line))) {
+                result.headers.push([match[1], match[2].trim()]);
+            } else {
+                // Other lines, including ones which merely start with "@", are the description.
+                lines.push(line);
+            }
+        });
+
+        result.description = lines.join("\n").trim();
+
+        return result;
+    };
+
+    /**
+     * @param  {Number} itemId Bookmark item id.
+     * @return {Array<Object>} The `{ id, title }` of each folder containing the item, outermost first.
+     */
+    bookmarks.getBookmarkFolders = function (itemId) {
+        const folders = [];
+
+        let folderId = places.getFolderId(itemId);
+        while (folderId > 0 && folderId !== places.rootFolderId) {
+            folders.unshift({ id: folderId, title: places.getItemTitle(folderId) });
+            folderId = places.getFolderId(folderId);
+        }
+
+        return folders;
+    };
+
+    /**
+     * Arrange bookmarks in a tree mirroring their Places folders. Folders which
+     * contain every bookmark (such as "Bookmarks Menu") are left out, and folders
+     * deeper than the depth limit are merged into their ancestor at that depth.
+     *
+     * @param  {Array<Object>} items Bookmark objects, in display order.
+     * @param  {Number} maxDepth Maximum submenu depth, or 0 for no limit.
+     * @return {Object} Root `{ title, folders, bookmarks }` node; folders are sorted by title.
+     */
+    bookmarks.getBookmarkFolderTree = function (items, maxDepth) {
+        const paths = items.map(bookmark => bookmark.folders || []);
+
+        const isSharedFolder = (depth) => paths.length > 0 &&
+            paths.every(path => path.length > depth && path[depth].id === paths[0][depth].id);
+
+        // Length of the folder path all bookmarks share.
+        let commonDepth = 0;
+        while (isSharedFolder(commonDepth)) {
+            commonDepth += 1;
+        }
+
+        const root = { title: "", folders: [], bookmarks: [] };
+
+        items.forEach((bookmark, i) => {
+            let path = paths[i].slice(commonDepth);
+            if (maxDepth > 0) {
+                path = path.slice(0, maxDepth);
+            }
+
+            const node = path.reduce((parent, folder) => {
+                let child = parent.folders.find(child => child.id === folder.id);
+                if (!child) {
+                    child = { id: folder.id, title: folder.title, folders: [], bookmarks: [] };
+                    parent.folders.push(child);
+                }
+
+                return child;
+            }, root);
+
+            node.bookmarks.push(bookmark);
+        });
+
+        const sortFolders = (node) => {
+            node.folders.sort((a, b) => a.title.localeCompare(b.title));
+            node.folders.forEach(sortFolders);
+        };
+        sortFolders(root);
+
+        return root;
+    };
+
+    return bookmarks;
+}
+
+module.exports = createBookmarks;
@@ -0,0 +1,127 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Mapping clicks on the menu to where searches open.
+ *
+ * @param  {Object} options.prefs Add-on preferences: `get(name)`, `getJSON(name, defaultValue)`,
+ *                                and `getBrowserPref(name, defaultValue)` for Firefox's own.
+ * @param  {Object} options.engines Engine functions, from `lib/engines`.
+ * @param  {Object} options.console Console to log to.
+ * @return {Object} The click functions.
+ */
+function createClicks({ prefs, engines, console }) {
+    const clicks = {};
+
+    // Names of the mouse buttons, by `MouseEvent.button`.
+    clicks.mouseButtons = {
+        0: "left",
+        1: "middle",
+        2: "right",
+    };
+
+    // Where searches can be opened, as options of `MCS.openSearch`.
+    clicks.clickTargets = {
+        current: { whereToOpen: "current" },
+        foreground: { whereToOpen: "tab" },
+        background: { whereToOpen: "tabshifted", inBackground: true },
+        window: { whereToOpen: "window" },
+        private: { whereToOpen: "window", isPrivate: true },
+        preview: { whereToOpen: "preview" },
+    };
+
+    // Where each click opens a search unless the `clickActions` preference says otherwise.
+    // "default" is the target selected by the `clickBehavior` preference.
+    clicks.defaultClickActions = {
+        "left": "default",
+        "ctrl+left": "foreground",
+        "shift+left": "window",
+        "ctrl+shift+left": "private",
+        "middle": "foreground",
+        "right": "current",
+    };
+
+    /**
+     * Describe a click as its modifiers and button, such as "ctrl+shift+left".
+     * Modifiers are always listed in the order ctrl, alt, shift, meta.
+     *
+     * @param  {Event} event The "click" event object.
+     * @return {String|null} The click descriptor, or null if not a left, middle or right click.
+     */
+    clicks.getClickDescriptor = function (event) {
+        const button = clicks.mouseButtons[event.button];
+        if (!button) {
+            return null;
+        }
+
+        const modifiers = ["ctrl", "alt", "shift", "meta"].filter(modifier => event[`${modifier}Key`]);
+
+        return modifiers.concat(button).join("+");
+    };
+
+    /**
+     * Find where a click should open a search made with an engine.
+     *
+     * Clicks are mapped to targets by the `clickActions` preference, a JSON object
+     * merged over `defaultClickActions`. A click without its own entry falls
+     * back to the entry for its button. An engine's `openIn` setting overrides
+     * this, either as a target for every click, or as a mapping like `clickActions`.
+     *
+     * @param  {String} click Click descriptor, from `getClickDescriptor`.
+     * @param  {String|null} key Engine key, or null to ignore per-engine settings.
+     * @return {String} A target from `clickTargets`, or "default".
+     */
+    clicks.getClickTarget = function (click, key) {
+        const button = click.split("+").pop();
+        const { openIn } = key ? engines.getEngineSettings(key) : {};
+
+        if (typeof openIn === "string") {
+            return openIn;
+        }
+
+        const actions = Object.assign({}, clicks.defaultClickActions, prefs.getJSON("clickActions", {}), openIn);
+
+        return actions[click] || actions[button] || "default";
+    };
+
+    /**
+     * @param  {String} target A target from `clickTargets`, or "default".
+     * @return {Object} The `whereToOpen`, `inBackground` and `isPrivate` options of `MCS.openSearch`.
+     */
+    clicks.getOpenParams = function (target) {
+        if (target === "default") {
+            return clicks.getOpenParams(clicks.getDefaultClickTarget());
+        }
+
+        if (!(target in clicks.clickTargets)) {
+            console.warn(`getOpenParams - unknown target "${target}"`);
+            return clicks.getOpenParams(clicks.getDefaultClickTarget());
+        }
+
+        return Object.assign({ inBackground: false, isPrivate: false }, clicks.clickTargets[target]);
+    };
+
+    /**
+     * Where a plain left click opens a search, selected by the `clickBehavior`
+     * preference: "firefox" follows Firefox's own context search preference.
+     *
+     * @return {String} A target from `clickTargets`.
+     */
+    clicks.getDefaultClickTarget = function () {
+        switch (prefs.get("clickBehavior")) {
+        case "foreground":
+            return "foreground";
+        case "background":
+            return "background";
+        case "current":
+            return "current";
+        default:
+            return prefs.getBrowserPref("browser.search.context.loadInBackground", false) ? "background" : "foreground";
+        }
+    };
+
+    return clicks;
+}
+
+module.exports = createClicks;
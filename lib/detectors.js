@@ -0,0 +1,173 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Recognizing what kind of content a selection is.
+ *
+ * @param  {Object} options.prefs Add-on preferences: `getJSON(name, defaultValue)`.
+ * @param  {Function} options.l10n Looks up a localized string, as `sdk/l10n`'s `get`.
+ * @param  {Object} options.console Console to log to.
+ * @return {Object} The detector functions.
+ */
+function createDetectors({ prefs, l10n, console }) {
+    const detectors = {};
+
+    /**
+     * @param  {String} isbn ISBN-10 or ISBN-13, without separators.
+     * @return {Boolean} Whether its check digit is right.
+     */
+    const hasISBNChecksum = (isbn) => {
+        const digits = Array.from(isbn, c => (c === "X" || c === "x" ? 10 : Number(c)));
+
+        if (digits.length === 10) {
+            return digits.reduce((sum, digit, i) => sum + ((10 - i) * digit), 0) % 11 === 0;
+        }
+
+        return digits.reduce((sum, digit, i) => sum + ((i % 2 ? 3 : 1) * digit), 0) % 10 === 0;
+    };
+
+    /**
+     * Eight groups of up to four hex digits, separated by colons. One run of
+     * groups may be left out as `::`, and the last two may be an IPv4 address.
+     * The unspecified address `::` is no use to look up, and isn't accepted.
+     *
+     * @param  {String} address The address.
+     * @return {Boolean} Whether it's an IPv6 address.
+     */
+    const isIPv6 = (address) => {
+        const halves = address.split("::");
+        if (halves.length > 2 || !/[\da-f]/i.test(address)) {
+            return false;
+        }
+
+        const groups = halves.map(half => (half ? half.split(":") : []));
+        const last = groups[groups.length - 1];
+
+        if (last.length > 0 && last[last.length - 1].indexOf(".") !== -1) {
+            if (!/^(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)$/.test(last.pop())) {
+                return false;
+            }
+
+            last.push("0", "0");
+        }
+
+        const count = groups.reduce((total, half) => total + half.length, 0);
+
+        return groups.every(half => half.every(group => /^[\da-f]{1,4}$/i.test(group))) &&
+            (halves.length === 2 ? count < 8 : count === 8);
+    };
+
+    // Content types recognized in selections, with actions shown at the top of the
+    // popup. See `detectContentTypes`; action URLs are templates as in `parseTemplate`.
+    detectors.builtinContentDetectors = [{
+        type: "url",
+        pattern: "^(?:https?|ftp)://\\S+$",
+        flags: "i",
+        actions: [{ label: l10n("action_open_link"), url: "%S" }],
+    }, {
+        type: "domain",
+        pattern: "^www\\.[\\w-]+(?:\\.[\\w-]+)+(?:/\\S*)?$",
+        flags: "i",
+        actions: [{ label: l10n("action_open_link"), url: "http://%S" }],
+    }, {
+        type: "email",
+        pattern: "^(?:mailto:)?([^\\s@<>]+@[^\\s@<>]+\\.[^\\s@<>]+)$",
+        flags: "i",
+        actions: [{ label: l10n("action_send_email"), url: "mailto:%S" }],
+    }, {
+        type: "doi",
+        pattern: "^(?:doi:\\s*|https?://(?:dx\\.)?doi\\.org/)?(10\\.\\d{4,9}/\\S+)$",
+        flags: "i",
+        actions: [{ label: l10n("action_resolve_doi"), url: "https://doi.org/%S" }],
+    }, {
+        type: "isbn",
+        pattern: "^(?:ISBN(?:-?1[03])?:?\\s*)?(\\d[\\d -]{8,15}[\\dX])$",
+        flags: "i",
+        remove: "[ -]",
+        valuePattern: "^(?:\\d{9}[\\dXx]|97[89]\\d{10})$",
+        validate: hasISBNChecksum,
+        actions: [{ label: l10n("action_look_up_isbn"), url: "https://openlibrary.org/isbn/%s" }],
+    }, {
+        type: "ip",
+        pattern: "^(?:(?:25[0-5]|2[0-4]\\d|1?\\d?\\d)\\.){3}(?:25[0-5]|2[0-4]\\d|1?\\d?\\d)$|^[\\da-f:.]*:[\\da-f:.]*$",
+        flags: "i",
+        validate: value => value.indexOf(":") === -1 || isIPv6(value),
+        actions: [{ label: l10n("action_look_up_ip"), url: "https://ipinfo.io/%s" }],
+    }, {
+        type: "hash",
+        pattern: "^(?:[\\da-f]{32}|[\\da-f]{40}|[\\da-f]{64})$",
+        flags: "i",
+        actions: [{ label: l10n("action_look_up_hash"), url: "https://www.virustotal.com/gui/search/%s" }],
+    }, {
+        type: "stacktrace",
+        pattern: "^(?:at .+[:(]\\d+|File \".+\", line \\d+|.+\\.\\w+:\\d+(?::\\d+)?\\)?)$",
+        actions: [],
+    }];
+
+    /**
+     * Content detectors, from the `contentDetectors` preference followed by
+     * `builtinContentDetectors`. A detector from the preference replaces the
+     * built-in one of the same type.
+     *
+     * @return {Array<Object>} The detectors, in order of precedence.
+     */
+    detectors.getContentDetectors = function () {
+        const custom = prefs.getJSON("contentDetectors", []).filter(detector => detector && detector.type);
+        const customTypes = custom.map(detector => detector.type);
+
+        return custom.concat(detectors.builtinContentDetectors.filter(detector =>
+            customTypes.indexOf(detector.type) === -1));
+    };
+
+    /**
+     * Recognize what kind of content a selection is.
+     *
+     * Detectors match their `pattern` (a regular expression, with `flags`) against
+     * the whole trimmed selection. The detected value is the pattern's first group,
+     * or the whole match, with any characters matching `remove` deleted. If given,
+     * `valuePattern` must then match the value, and built-in detectors' `validate`
+     * function accept it.
+     *
+     * @param  {String} [text] The selected text, if any.
+     * @return {Array<Object>} The `{ detector, value }` of each matching detector.
+     */
+    detectors.detectContentTypes = function (text) {
+        if (!text) {
+            return [];
+        }
+
+        const trimmed = text.trim();
+
+        return detectors.getContentDetectors().map(detector => {
+            try {
+                const match = new RegExp(detector.pattern, detector.flags || "").exec(trimmed);
+                if (!match) {
+                    return null;
+                }
+
+                let value = match[1] || match[0];
+                if (detector.remove) {
+                    value = value.replace(new RegExp(detector.remove, "g"), "");
+                }
+
+                if (detector.valuePattern && !new RegExp(detector.valuePattern).test(value)) {
+                    return null;
+                }
+
+                if (typeof detector.validate === "function" && !detector.validate(value)) {
+                    return null;
+                }
+
+                return { detector, value };
+            } catch (e) {
+                console.error(`detectContentTypes - invalid detector "${detector.type}"`, e);
+                return null;
+            }
+        }).filter(Boolean);
+    };
+
+    return detectors;
+}
+
+module.exports = createDetectors;
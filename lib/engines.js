@@ -0,0 +1,215 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Engine keys and settings, the text each engine searches, and the fake
+ * engines searching keyword bookmarks.
+ *
+ * @param  {Object} options.prefs Add-on preferences: `get(name)` and `getJSON(name, defaultValue)`.
+ * @param  {Object} options.templates Template functions, from `lib/templates`.
+ * @param  {Function} options.newURI Creates a URI from a spec and character encoding, as `Services.io.newURI`.
+ * @param  {Function} options.newPostData Creates a POST data stream from a body, its content
+ *                                         type and `[name, value]` headers.
+ * @param  {Object} options.console Console to log to.
+ * @return {Object} The engine functions.
+ */
+function createEngines({ prefs, templates, newURI, newPostData, console }) {
+    const engines = {};
+
+    // Things that can be searched, in order of preference when several apply.
+    engines.searchContexts = ["selection", "link", "linkText", "image", "page", "pageTitle"];
+
+    // Contexts an engine or keyword bookmark applies to unless its settings say otherwise.
+    engines.defaultSearchContexts = ["selection", "linkText"];
+
+    // Contexts holding prose rather than URLs, which text transforms apply to.
+    engines.textSearchContexts = ["selection", "linkText", "pageTitle"];
+
+    // Transforms applied to searched text unless the `selectionTransforms` preference
+    // or an engine's `transforms` setting says otherwise. See `transformText`.
+    engines.defaultTransforms = ["trim", "collapseWhitespace"];
+
+    // How built-in engines restrict searches to a site: with this operator before the host.
+    engines.defaultSiteScope = "site:";
+
+    // Quote pairs removed by the "stripQuotes" transform.
+    engines.quotePairs = ["\"\"", "''", "“”", "‘’", "«»", "„“", "‚‘", "「」"];
+
+    /**
+     * Built-in engines are keyed by name, keyword bookmarks by keyword.
+     *
+     * @param  {Object} engine A search engine or fake bookmark engine.
+     * @return {String} Key identifying the engine in the add-on's settings.
+     */
+    engines.getEngineKey = function (engine) {
+        return engine.key || `engine:${engine.name}`;
+    };
+
+    /**
+     * @param  {Object} bookmark Bookmark object.
+     * @return {String} Key identifying the keyword bookmark in the add-on's settings.
+     */
+    engines.getBookmarkKey = function (bookmark) {
+        return `keyword:${bookmark.keyword}`;
+    };
+
+    /**
+     * Per-engine settings are stored in the `engineSettings` preference as a JSON
+     * object mapping engine keys (see `getEngineKey`) to settings objects.
+     *
+     * Settings which aren't objects, and lists which aren't arrays, are ignored.
+     *
+     * @param  {String} key Engine key.
+     * @return {Object} Settings for the engine, with defaults applied.
+     */
+    engines.getEngineSettings = function (key) {
+        const defaults = {
+            contexts: engines.defaultSearchContexts,
+            container: "current",
+            transforms: prefs.getJSON("selectionTransforms", engines.defaultTransforms),
+            // Keyword bookmarks often search a single site already, so they opt in.
+            siteScope: key.startsWith("engine:") ? engines.defaultSiteScope : false,
+        };
+
+        const settings = prefs.getJSON("engineSettings", {})[key];
+        if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+            return defaults;
+        }
+
+        const merged = Object.assign({}, defaults, settings);
+
+        ["contexts", "transforms", "contentTypes"].forEach(name => {
+            if (name in settings && !Array.isArray(settings[name])) {
+                console.warn(`getEngineSettings - ignoring ${name} of "${key}", not an array`);
+                merged[name] = defaults[name];
+            }
+        });
+
+        return merged;
+    };
+
+    /**
+     * Find the text an engine should search for the current context menu target.
+     *
+     * @param  {String} key Engine key.
+     * @param  {Object} contextTexts Map of search context to text, from `MCS.getContextTexts`.
+     * @return {Object|null} The `{ context, text }` to search, or null if the engine doesn't apply.
+     */
+    engines.getSearchTextForEngine = function (key, contextTexts) {
+        const { contexts, transforms } = engines.getEngineSettings(key);
+
+        const context = engines.searchContexts.find(context =>
+            contexts.indexOf(context) !== -1 && context in contextTexts);
+        if (!context) {
+            return null;
+        }
+
+        let text = contextTexts[context];
+        if (engines.textSearchContexts.indexOf(context) !== -1) {
+            text = engines.transformText(text, transforms);
+        }
+
+        return text ? { context, text } : null;
+    };
+
+    /**
+     * Run text through a pipeline of transforms. Each transform is either a name,
+     * or an object with a `type` and options:
+     *
+     * - "trim": remove surrounding whitespace.
+     * - "collapseWhitespace": replace runs of whitespace, including line breaks, by a single space.
+     * - "stripQuotes": remove a pair of surrounding quotes.
+     * - "stripPunctuation": remove surrounding punctuation.
+     * - "lowercase": convert to lower case.
+     * - `{ type: "maxLength", length }`: cut the text after `length` characters (code points).
+     * - `{ type: "extract", pattern, flags, group }`: keep only the first match of the regular
+     *   expression, or its `group`th group. Text without a match is left as is.
+     * - `{ type: "replace", pattern, flags, replacement }`: as `String.prototype.replace`.
+     *
+     * @param  {String} text The text to transform.
+     * @param  {Array<String|Object>} transforms The transforms, in order.
+     * @return {String} The transformed text.
+     */
+    engines.transformText = function (text, transforms) {
+        return transforms.reduce((text, transform) => {
+            const options = typeof transform === "string" ? { type: transform } : transform;
+
+            try {
+                switch (options.type) {
+                case "trim":
+                    return text.trim();
+                case "collapseWhitespace":
+                    return text.replace(/\s+/g, " ");
+                case "stripQuotes": {
+                    const trimmed = text.trim();
+                    const isQuoted = engines.quotePairs.some(pair =>
+                        trimmed.length > 1 && trimmed[0] === pair[0] && trimmed[trimmed.length - 1] === pair[1]);
+
+                    return isQuoted ? trimmed.slice(1, -1) : text;
+                }
+                case "stripPunctuation":
+                    return text.replace(/^[\s!-/:-@[-`{-~¡-¿‐-‧“-‟…]+|[\s!-/:-@[-`{-~¡-¿‐-‧“-‟…]+$/g, "");
+                case "lowercase":
+                    return text.toLowerCase();
+                case "maxLength":
+                    // By code points, so surrogate pairs aren't cut in half.
+                    return Array.from(text).slice(0, options.length).join("");
+                case "extract": {
+                    const match = new RegExp(options.pattern, options.flags || "").exec(text);
+
+                    return match ? (match[options.group || 0] || "") : text;
+                }
+                case "replace":
+                    return text.replace(new RegExp(options.pattern, options.flags || ""), options.replacement || "");
+                default:
+                    console.warn(`transformText - unknown transform "${options.type}"`);
+                    return text;
+                }
+            } catch (e) {
+                console.error(`transformText - "${options.type}" failed`, e);
+                return text;
+            }
+        }, text);
+    };
+
+    /**
+     * Create a fake "engine" object for a keyword bookmark, which provides
+     * the parts of `nsISearchEngine` that the add-on uses.
+     *
+     * @param  {Object} bookmark Bookmark object
+     * @param  {Object} page Page the search is made from, from `MCS.getPageInfo`
+     * @return {Object} The fake engine.
+     */
+    engines.createBookmarkEngine = function (bookmark, page) {
+        return {
+            key: engines.getBookmarkKey(bookmark),
+            name: bookmark.title,
+            iconURI: bookmark.iconURL ? newURI(bookmark.iconURL) : null,
+            url: bookmark.url,
+            postData: bookmark.postData,
+            description: bookmark.description,
+            charset: bookmark.charset,
+            getSubmission: (searchText) => {
+                const values = templates.getTemplateValues(searchText, page);
+                const encodeURLValue = value => templates.formEncode(value, bookmark.charset);
+                const url = templates.expandTemplate(bookmark.urlTemplate, values, encodeURLValue);
+                const uri = newURI(url, bookmark.charset);
+
+                let postData = null;
+                if (bookmark.postData) {
+                    const encode = templates.getBodyEncoder(bookmark.postContentType, bookmark.charset);
+                    const body = templates.expandTemplate(bookmark.postDataTemplate, values, encode);
+
+                    postData = newPostData(body, bookmark.postContentType, bookmark.postHeaders || []);
+                }
+
+                return { uri, postData };
+            },
+        };
+    };
+
+    return engines;
+}
+
+module.exports = createEngines;
@@ -0,0 +1,170 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * What the context search menu offers, and what clicking it does. Building
+ * the XUL elements, and opening searches, is left to `actions`:
+ *
+ * - `getMruEngine()`: the most recently used engine.
+ * - `getPageInfo(gContextMenu)`: the page a search is made from, as `MCS.getPageInfo`.
+ * - `confirmOpeningTabs(window, count)`: whether to go on opening this many tabs.
+ * - `searchWithEngine(options)`, `logSearch(options)`, `openSearch(options)`,
+ *   `getUserContextId(window, key)`: as the `MCS` functions of the same name.
+ *
+ * @param  {String} options.contextMenuId Id of the browser's context menu.
+ * @param  {Object} options.engines Engine functions, from `lib/engines`.
+ * @param  {Object} options.clicks Click functions, from `lib/clicks`.
+ * @param  {Object} options.sorting Sorting functions, from `lib/sorting`.
+ * @param  {Object} options.actions Browser actions, as above.
+ * @param  {Object} options.console Console to log to.
+ * @return {Object} The menu functions.
+ */
+function createMenu({ contextMenuId, engines, clicks, sorting, actions, console }) {
+    const menu = {};
+
+    /**
+     * Find what the menu and its built-in engine menuitems search.
+     *
+     * @param  {Array<Object>} options.engines Built-in engines, in display order.
+     * @param  {Object} options.mruEngine The most recently used engine.
+     * @param  {Object} options.contextTexts Map of search context to text, from `MCS.getContextTexts`.
+     * @return {Object} `menuSearch`, the `{ engine, searchText, searchContext }` the menu itself
+     *                  searches (null if no built-in engine applies), and `engineSearches`,
+     *                  one for each engine that applies, in display order.
+     */
+    menu.getMenuModel = function ({ engines: availableEngines, mruEngine, contextTexts }) {
+        const getSearch = (engine) => {
+            const search = engines.getSearchTextForEngine(engines.getEngineKey(engine), contextTexts);
+
+            return search ? { engine, searchText: search.text, searchContext: search.context } : null;
+        };
+
+        // The menu itself searches with the most recently used engine, or the first one that applies here.
+        const menuSearch = [mruEngine].concat(availableEngines).reduce((found, engine) =>
+            found || (engine ? getSearch(engine) : null), null);
+
+        return {
+            menuSearch,
+            engineSearches: availableEngines.map(getSearch).filter(Boolean),
+        };
+    };
+
+    /**
+     * @param  {Array<Object>} bookmarks Bookmark objects, in display order.
+     * @param  {Object} contextTexts Map of search context to text, from `MCS.getContextTexts`.
+     * @return {Array<Object>} The `{ bookmark, searchText, searchContext }` of each
+     *                         bookmark that applies, in display order.
+     */
+    menu.getKeywordBookmarkSearches = function (bookmarks, contextTexts) {
+        return bookmarks.map(bookmark => {
+            const search = engines.getSearchTextForEngine(engines.getBookmarkKey(bookmark), contextTexts);
+
+            return search ? { bookmark, searchText: search.text, searchContext: search.context } : null;
+        }).filter(Boolean);
+    };
+
+    /**
+     * A menuitem has been clicked.
+     *
+     * @param  {Event} event The "click" event object.
+     * @return {void}
+     */
+    menu.onMenuClicked = function (event) {
+        const click = clicks.getClickDescriptor(event);
+        if (!click) {
+            // Not left, middle or right click. Ignore.
+            return;
+        }
+
+        // @see <https://dxr.mozilla.org/mozilla-beta/source/browser/modules/ContentSearch.jsm>
+        // let whereToOpen = window.whereToOpenLink(event);
+        // if (whereToOpen !== "current" && Services.prefs.getBoolPref("browser.tabs.loadInBackground")) {
+        //     whereToOpen = "tabshifted";
+        // }
+
+        const window = event.view;
+        if (!window) {
+            console.warn("onMenuClicked - missing window (event.view)");
+            return;
+        }
+
+        const { document } = window;
+
+        const contextMenu = document.getElementById(contextMenuId);
+        if (!contextMenu) {
+            console.warn(`onMenuClicked - missing #${contextMenuId}`);
+            return;
+        }
+
+        // Group menuitems carry several searches, other menuitems (and the menu itself) a single one.
+        const searches = event.target.searches || [{
+            // @var {Ci.nsISearchEngine}
+            engine: event.target.engine || actions.getMruEngine(),
+            searchText: event.target.getAttribute("searchtext"),
+        }];
+
+        if (searches.some(({ engine }) => !engine)) {
+            console.warn("onMenuClicked - missing engine");
+            return;
+        }
+
+        if (searches.some(({ searchText }) => !searchText)) {
+            console.warn("onMenuClicked - missing [searchtext]");
+            return;
+        }
+
+        // Groups open in tabs of this window, which can't be private: don't leak a private search into it.
+        if (event.target.searches && clicks.getOpenParams(clicks.getClickTarget(click, null)).isPrivate) {
+            console.warn("onMenuClicked - groups can't be opened in a private window");
+            return;
+        }
+
+        const page = actions.getPageInfo({ browser: window.gBrowser.selectedBrowser });
+
+        // Previews open where the context menu was.
+        const anchor = { screenX: contextMenu.boxObject.screenX, screenY: contextMenu.boxObject.screenY };
+
+        // Hide the context menu before executing the search.
+        // @see <https://hg.mozilla.org/mozilla-central/rev/b71e68e61a23>
+        // contextMenu.hidden = true;
+        contextMenu.hidePopup();
+
+        if (!actions.confirmOpeningTabs(window, searches.length)) {
+            return;
+        }
+
+        if (!event.target.searches) {
+            const target = clicks.getClickTarget(click, engines.getEngineKey(searches[0].engine));
+
+            actions.searchWithEngine({ window, search: searches[0], page, target, anchor });
+            return;
+        }
+
+        searches.
+            map(({ engine }) => engines.getEngineKey(engine)).
+            filter((key, i, keys) => keys.indexOf(key) === i).
+            forEach(sorting.recordEngineUsage);
+
+        // Groups open each search in its own tab: the first one in the foreground
+        // unless the click asked for a background tab, the rest in the background.
+        const { inBackground } = clicks.getOpenParams(clicks.getClickTarget(click, null));
+        searches.forEach((search, i) => {
+            const background = inBackground || i > 0;
+
+            actions.logSearch({ window, search, page, target: background ? "background" : "foreground" });
+
+            actions.openSearch({
+                window,
+                search,
+                whereToOpen: background ? "tabshifted" : "tab",
+                inBackground: background,
+                userContextId: actions.getUserContextId(window, engines.getEngineKey(search.engine)),
+            });
+        });
+    };
+
+    return menu;
+}
+
+module.exports = createMenu;
@@ -0,0 +1,78 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Ordering the popup's engines, and counting their use.
+ *
+ * @param  {Object} options.prefs Add-on preferences: `get(name)`.
+ * @param  {Object} options.storage Persistent storage, as `sdk/simple-storage`'s `storage`.
+ * @param  {Function} options.now Returns the current time in milliseconds, as `Date.now`.
+ * @param  {Object} options.console Console to log to.
+ * @return {Object} The sorting functions.
+ */
+function createSorting({ prefs, storage, now, console }) {
+    const sorting = {};
+
+    // Orders the popup's engines can be sorted in, selected by the `sortOrder` preference.
+    sorting.sortOrders = ["alphabetical", "manual", "frequency", "recent"];
+
+    /**
+     * Sort engines or bookmarks in the order selected by the `sortOrder` preference.
+     * Ties, and engines missing from the manual order, are sorted by name.
+     *
+     * @param  {Array<Object>} items Array of engines or bookmark objects
+     * @param  {Function} getKey Returns an item's engine key
+     * @param  {Function} getName Returns an item's name
+     * @return {Array<Object>} The items, sorted in place.
+     */
+    sorting.sortEngines = function (items, getKey, getName) {
+        let sortOrder = prefs.get("sortOrder");
+        if (sorting.sortOrders.indexOf(sortOrder) === -1) {
+            console.warn(`sortEngines - unknown sort order "${sortOrder}"`);
+            sortOrder = "alphabetical";
+        }
+
+        const usage = storage.usage || {};
+        const manualOrder = storage.manualOrder || [];
+
+        const getRank = (key) => {
+            const used = usage[key] || { count: 0, lastUsed: 0 };
+
+            switch (sortOrder) {
+            case "manual": {
+                const index = manualOrder.indexOf(key);
+                return index === -1 ? manualOrder.length : index;
+            }
+            case "frequency":
+                return -used.count;
+            case "recent":
+                return -used.lastUsed;
+            default:
+                return 0;
+            }
+        };
+
+        return items.sort((a, b) =>
+            (getRank(getKey(a)) - getRank(getKey(b))) || getName(a).localeCompare(getName(b)));
+    };
+
+    /**
+     * Count a search made with the engine, for the "frequency" and "recent" sort orders.
+     *
+     * @param  {String} key Engine key.
+     * @return {void}
+     */
+    sorting.recordEngineUsage = function (key) {
+        const usage = storage.usage || {};
+        const used = usage[key] || { count: 0, lastUsed: 0 };
+
+        usage[key] = { count: used.count + 1, lastUsed: now() };
+
+        storage.usage = usage;
+    };
+
+    return sorting;
+}
+
+module.exports = createSorting;
@@ -0,0 +1,190 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+/**
+ * Keyword bookmark templates: parsing, and expanding them into URLs and POST bodies.
+ *
+ * @param  {Function} options.l10n Looks up a localized string, as `sdk/l10n`'s `get`.
+ * @param  {Function} options.convertAndEscape Form-encodes a value in a character
+ *                                              encoding, as `nsITextToSubURI.ConvertAndEscape`.
+ * @param  {Object} options.console Console to log to.
+ * @return {Object} The template functions.
+ */
+function createTemplates({ l10n, convertAndEscape, console }) {
+    const templates = {};
+
+    // Page variables available in templates as `%{name}`.
+    templates.templateVariables = ["url", "title", "host"];
+
+    /**
+     * Keyword bookmark URLs and POST data are templates. Placeholders are:
+     *
+     * - `%s`: the search text, form-encoded; `%S`: the search text as-is.
+     * - `%1` to `%9` (or `%{1}` etc.): the nth whitespace separated word of the search text, form-encoded.
+     * - `%{url}`, `%{title}`, `%{host}`: the current page's URL, title and host, form-encoded.
+     *   In upper case (`%{URL}` etc.) they're inserted as-is.
+     * - `%%`: a literal `%`.
+     *
+     * Percent-escapes (`%20`) are left alone, and come first: `%1a` is an escape,
+     * while `%{1}a` is the first word followed by "a". Unknown or malformed
+     * placeholders, like the `%` of `100%`, are kept as literal text.
+     *
+     * @param  {String} template The template.
+     * @return {Object} `{ tokens, errors }`, where tokens are literal strings
+     *                  or `{ name, raw }` placeholder objects, and errors lists any
+     *                  unknown or malformed placeholders.
+     */
+    templates.parseTemplate = function (template) {
+        const tokens = [];
+        const errors = [];
+
+        // The URL parser escapes braces in paths, so `%{host}` may be stored as `%%7Bhost%7D`.
+        const source = template.replace(/%%7B(\w*)%7D/gi, "%{$1}");
+
+        const pushLiteral = (text) => {
+            if (typeof tokens[tokens.length - 1] === "string") {
+                tokens[tokens.length - 1] += text;
+            } else if (text) {
+                tokens.push(text);
+            }
+        };
+
+        let i = 0;
+        while (i < source.length) {
+            const percent = source.indexOf("%", i);
+            if (percent === -1) {
+                pushLiteral(source.slice(i));
+                break;
+            }
+
+            pushLiteral(source.slice(i, percent));
+
+            const rest = source.slice(percent);
+            let match;
+
+            if ((match = /^%[0-9a-f]{2}/i.exec(rest))) {
+                // Percent-escape, even where it could be read as `%1` to `%9` and a hex digit.
+                pushLiteral(match[0]);
+            } else if ((match = /^%%/.exec(rest))) {
+                pushLiteral("%");
+            } else if ((match = /^%([sS])/.exec(rest))) {
+                tokens.push({ name: "s", raw: match[1] === "S" });
+            } else if ((match = /^%([1-9])/.exec(rest))) {
+                tokens.push({ name: match[1], raw: false });
+            } else if ((match = /^%\{([^{}%]*)\}/.exec(rest))) {
+                const name = match[1];
+                if (/^[1-9]$/.test(name)) {
+                    tokens.push({ name, raw: false });
+                } else if (templates.templateVariables.indexOf(name.toLowerCase()) !== -1) {
+                    tokens.push({ name: name.toLowerCase(), raw: name === name.toUpperCase() });
+                } else {
+                    errors.push(l10n("template_unknown_placeholder", match[0], percent));
+                    pushLiteral(match[0]);
+                }
+            } else {
+                match = /^%\{?/.exec(rest);
+                errors.push(l10n("template_malformed_placeholder", rest.slice(0, 2), percent));
+                pushLiteral(match[0]);
+            }
+
+            i = percent + match[0].length;
+        }
+
+        return { tokens, errors };
+    };
+
+    /**
+     * @param  {Object} template Parsed template, from `parseTemplate`.
+     * @return {Boolean} True if the template has any placeholders.
+     */
+    templates.isTemplateDynamic = function (template) {
+        return template.tokens.some(token => typeof token !== "string");
+    };
+
+    /**
+     * @param  {String} searchText Text to search.
+     * @param  {Object} page Page the search is made from, from `MCS.getPageInfo`.
+     * @return {Object} Values for each template placeholder name.
+     */
+    templates.getTemplateValues = function (searchText, page) {
+        const values = Object.assign({ url: "", title: "", host: "" }, page, { s: searchText });
+
+        const words = searchText.trim().split(/\s+/);
+        for (let n = 1; n <= 9; n++) {
+            values[n] = words[n - 1] || "";
+        }
+
+        return values;
+    };
+
+    /**
+     * @param  {Object} template Parsed template, from `parseTemplate`.
+     * @param  {Object} values Values for each placeholder name, from `getTemplateValues`.
+     * @param  {Function} [encode] Encodes the values of encoded placeholders; form-encodes in UTF-8 by default.
+     * @return {String} The expanded template.
+     */
+    templates.expandTemplate = function (template, values, encode = value => templates.formEncode(value, "UTF-8")) {
+        return template.tokens.map(token => {
+            if (typeof token === "string") {
+                return token;
+            }
+
+            const value = values[token.name];
+
+            return token.raw ? value : encode(value);
+        }).join("");
+    };
+
+    /**
+     * Choose how placeholders in a POST body are escaped, from its content type:
+     * JSON string escaping, XML escaping, form encoding, or none for other types.
+     *
+     * @param  {String} contentType Content type of the body.
+     * @param  {String} charset Character encoding for form-encoded bodies.
+     * @return {Function} Encodes a placeholder's value.
+     */
+    templates.getBodyEncoder = function (contentType, charset) {
+        const type = contentType.split(";")[0].trim().toLowerCase();
+
+        if (type === "application/json" || type.endsWith("+json")) {
+            // Placeholders are expected inside string literals, so leave out the quotes.
+            return value => JSON.stringify(value).slice(1, -1);
+        }
+
+        if (type === "application/xml" || type === "text/xml" || type.endsWith("+xml")) {
+            const entities = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&apos;" };
+            return value => value.replace(/[&<>"']/g, c => entities[c]);
+        }
+
+        if (type === "application/x-www-form-urlencoded") {
+            return value => templates.formEncode(value, charset);
+        }
+
+        return value => value;
+    };
+
+    /**
+     * Form-encode a value (spaces as `+`) in a character encoding, like Firefox
+     * does for keyword bookmarks. Falls back to UTF-8 if the encoding is unknown.
+     *
+     * @param  {String} value The value to encode.
+     * @param  {String} charset Character encoding.
+     * @return {String} The encoded value.
+     */
+    templates.formEncode = function (value, charset) {
+        if (charset && !/^utf-?8$/i.test(charset)) {
+            try {
+                return convertAndEscape(charset, value);
+            } catch (e) {
+                console.warn(`formEncode - can't encode in "${charset}", using UTF-8`, e);
+            }
+        }
+
+        return encodeURIComponent(value).replace(/%20/g, "+");
+    };
+
+    return templates;
+}
+
+module.exports = createTemplates;
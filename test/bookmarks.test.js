@@ -0,0 +1,141 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createModules } = require("./fakes");
+
+const folders = [
+    { id: 2, title: "Bookmarks Menu" },
+    { id: 10, title: "Reference", parent: 2 },
+];
+
+const keywordResult = (keyword, href, extra) => Object.assign({ keyword, url: { href }, tag: "search" }, extra);
+
+test("keywordResultToBookmark resolves a tagged keyword bookmark", () => {
+    const { bookmarks, console } = createModules({
+        places: folders.concat({
+            id: 20,
+            url: "https://en.wikipedia.org/w/index.php?search=%s",
+            title: "Wikipedia",
+            description: "The free encyclopedia",
+            parent: 10,
+        }),
+    });
+
+    const bookmark = bookmarks.keywordResultToBookmark(
+        keywordResult("w", "https://en.wikipedia.org/w/index.php?search=%s"));
+
+    assert.strictEqual(bookmark.id, 20);
+    assert.strictEqual(bookmark.title, "Wikipedia");
+    assert.strictEqual(bookmark.keyword, "w");
+    assert.strictEqual(bookmark.tag, "search");
+    assert.strictEqual(bookmark.description, "The free encyclopedia");
+    assert.strictEqual(bookmark.postData, "");
+    assert.deepStrictEqual(bookmark.urlTemplate.tokens, [
+        "https://en.wikipedia.org/w/index.php?search=",
+        { name: "s", raw: false },
+    ]);
+    assert.deepStrictEqual(bookmark.folders, [{ id: 2, title: "Bookmarks Menu" }, { id: 10, title: "Reference" }]);
+    assert.deepStrictEqual(console.calls, []);
+});
+
+test("keywordResultToBookmark reads POST bodies from the keyword and the description", () => {
+    const { bookmarks } = createModules({
+        places: [
+            { id: 20, url: "https://example.com/form", title: "Form" },
+            {
+                id: 21,
+                url: "https://example.com/api",
+                title: "API",
+                description: "Searches the API\n@header X-Token: abc\n@body {\"query\": \"%s\"}",
+            },
+        ],
+    });
+
+    const form = bookmarks.keywordResultToBookmark(keywordResult("f", "https://example.com/form", { postData: "q%3D%25s" }));
+    assert.strictEqual(form.postData, "q=%s");
+    assert.strictEqual(form.postContentType, "application/x-www-form-urlencoded");
+
+    const api = bookmarks.keywordResultToBookmark(keywordResult("api", "https://example.com/api"));
+    assert.strictEqual(api.description, "Searches the API");
+    assert.strictEqual(api.postData, "{\"query\": \"%s\"}");
+    assert.strictEqual(api.postContentType, "application/json");
+    assert.deepStrictEqual(api.postHeaders, [["X-Token", "abc"]]);
+});
+
+test("keywordResultToBookmark leaves out bookmarks the menu can't use", () => {
+    const { bookmarks, console } = createModules({ places: [{ id: 20, url: "https://example.com/", title: "Shortcut" }] });
+
+    assert.strictEqual(bookmarks.keywordResultToBookmark(keywordResult("gone", "https://example.com/?q=%s")), null);
+    assert.strictEqual(bookmarks.keywordResultToBookmark(keywordResult("short", "https://example.com/")), null);
+    assert.deepStrictEqual(console.calls, []);
+
+    assert.strictEqual(bookmarks.keywordResultToBookmark(keywordResult("bad", "not a url %s")), null);
+    assert.deepStrictEqual(console.calls.map(([method, message]) => [method, message]), [
+        ["warn", "keywordResultToBookmark - ignoring \"bad\", reason_unparsable_url"],
+    ]);
+});
+
+test("resolveKeywordResult explains why a bookmark is left out", () => {
+    const { bookmarks } = createModules({
+        places: [
+            { id: 20, url: "https://example.com/", title: "Shortcut" },
+            { id: 21, url: "https://example.com/?q=%s", title: "First" },
+            { id: 22, url: "https://example.com/?q=%s", title: "Second" },
+        ],
+    });
+
+    const status = (keyword, href) => {
+        const { bookmark, status, reason } = bookmarks.resolveKeywordResult(keywordResult(keyword, href));
+        return [bookmark && bookmark.title, status, reason];
+    };
+
+    assert.deepStrictEqual(status("a", "https://example.org/?q=%s"), [null, "not-bookmarked", "reason_not_bookmarked"]);
+    assert.deepStrictEqual(status("b", "https://example.com/"), [null, "no-placeholder", "reason_no_placeholder"]);
+    assert.deepStrictEqual(status("c", "https://example.com/?q=%s"), ["First", "duplicate", "reason_duplicate(2, First)"]);
+});
+
+test("resolveKeywordResult keeps bookmarks with stray percent signs", () => {
+    const places = [{ id: 20, url: "https://example.com/?q=%s&min=100%", title: "Sale" }];
+    const { bookmarks, console } = createModules({ places });
+
+    const { bookmark, status, reason } = bookmarks.resolveKeywordResult(
+        keywordResult("sale", "https://example.com/?q=%s&min=100%"));
+
+    assert.strictEqual(status, "template-problem");
+    assert.strictEqual(reason, "reason_invalid_template(template_malformed_placeholder(%, 33))");
+    assert.deepStrictEqual(bookmark.urlTemplate.tokens, ["https://example.com/?q=", { name: "s", raw: false }, "&min=100%"]);
+    assert.deepStrictEqual(console.calls, []);
+});
+
+test("resolveKeywordResult keeps POST data with stray percent signs", () => {
+    const { bookmarks } = createModules({ places: [{ id: 20, url: "https://example.com/form", title: "Form" }] });
+
+    const { bookmark, status, reason } = bookmarks.resolveKeywordResult(
+        keywordResult("f", "https://example.com/form", { postData: "q=%s&min=100%" }));
+
+    assert.strictEqual(status, "template-problem");
+    assert.strictEqual(reason, "reason_invalid_template(template_malformed_placeholder(%, 12))");
+    assert.strictEqual(bookmark.postData, "q=%s&min=100%");
+    assert.deepStrictEqual(bookmark.postDataTemplate.tokens, ["q=", { name: "s", raw: false }, "&min=100%"]);
+});
+
+test("keywordResultToBookmark keeps description lines that aren't directives", () => {
+    const { bookmarks, console } = createModules({
+        places: [{
+            id: 20,
+            url: "https://example.com/?q=%s",
+            title: "Social",
+            description: "Finds posts\n@mentions and #tags work too\n@header X-Token: abc",
+        }],
+    });
+
+    const { bookmark, status } = bookmarks.resolveKeywordResult(keywordResult("so", "https://example.com/?q=%s"));
+
+    assert.strictEqual(status, "included");
+    assert.strictEqual(bookmark.description, "Finds posts\n@mentions and #tags work too");
+    assert.deepStrictEqual(bookmark.postHeaders, [["X-Token", "abc"]]);
+    assert.deepStrictEqual(console.calls, []);
+});
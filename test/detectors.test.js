@@ -0,0 +1,49 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createModules } = require("./fakes");
+
+/**
+ * @param  {String} text The selected text.
+ * @param  {Object} [prefs] Add-on preference values.
+ * @return {Array<Array>} The `[type, value]` of each detected content type.
+ */
+function detect(text, prefs) {
+    return createModules({ prefs }).detectors.detectContentTypes(text).
+        map(({ detector, value }) => [detector.type, value]);
+}
+
+test("detectContentTypes recognizes ISBNs with a valid check digit", () => {
+    assert.deepStrictEqual(detect("ISBN 978-0-306-40615-7"), [["isbn", "9780306406157"]]);
+    assert.deepStrictEqual(detect("0-306-40615-2"), [["isbn", "0306406152"]]);
+    assert.deepStrictEqual(detect("0 8044 2957 X"), [["isbn", "080442957X"]]);
+    assert.deepStrictEqual(detect("0-8044-2957-x"), [["isbn", "080442957x"]]);
+
+    assert.deepStrictEqual(detect("978-0-306-40615-8"), []);
+    assert.deepStrictEqual(detect("555 123 4567"), []);
+    assert.deepStrictEqual(detect("2024-01-15 10"), []);
+});
+
+test("detectContentTypes recognizes IPv4 and IPv6 addresses, but not times", () => {
+    assert.deepStrictEqual(detect(" 192.168.0.1 "), [["ip", "192.168.0.1"]]);
+    assert.deepStrictEqual(detect("2001:db8:85a3:0:0:8a2e:370:7334"), [["ip", "2001:db8:85a3:0:0:8a2e:370:7334"]]);
+    assert.deepStrictEqual(detect("fe80::1"), [["ip", "fe80::1"]]);
+    assert.deepStrictEqual(detect("::ffff:192.0.2.128"), [["ip", "::ffff:192.0.2.128"]]);
+
+    assert.deepStrictEqual(detect("256.1.1.1"), []);
+    assert.deepStrictEqual(detect("12:30:45"), []);
+    assert.deepStrictEqual(detect("10:00:00"), []);
+    assert.deepStrictEqual(detect("::"), []);
+    assert.deepStrictEqual(detect("1::2::3"), []);
+    assert.deepStrictEqual(detect("1:2:3:4:5:6:7:8:9"), []);
+});
+
+test("detectContentTypes lets the contentDetectors preference replace built-in types", () => {
+    const prefs = { contentDetectors: [{ type: "isbn", pattern: "^\\d{10}$", actions: [] }] };
+
+    assert.deepStrictEqual(detect("5551234567", prefs), [["isbn", "5551234567"]]);
+    assert.deepStrictEqual(detect("0-306-40615-2", prefs), []);
+});
@@ -0,0 +1,129 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createModules } = require("./fakes");
+
+const page = { url: "https://example.com/a b?c", title: "Example & co", host: "example.com" };
+
+/**
+ * @param  {Object} modules Modules, from `createModules`.
+ * @param  {Object} bookmark Bookmark fields: `url`, and optionally `postData`,
+ *                           `postContentType`, `postHeaders` and `charset`.
+ * @return {Object} The bookmark's fake engine.
+ */
+function createEngine({ templates, engines }, bookmark) {
+    return engines.createBookmarkEngine(Object.assign({
+        keyword: "k",
+        title: "Keyword",
+        charset: "UTF-8",
+        postData: "",
+        postContentType: "application/x-www-form-urlencoded",
+        urlTemplate: templates.parseTemplate(bookmark.url),
+        postDataTemplate: templates.parseTemplate(bookmark.postData || ""),
+    }, bookmark), page);
+}
+
+test("getSubmission form-encodes the search text in UTF-8", () => {
+    const engine = createEngine(createModules(), { url: "https://example.com/?q=%s" });
+
+    const { uri, postData } = engine.getSubmission("café & crème 100%");
+
+    assert.strictEqual(uri.spec, "https://example.com/?q=caf%C3%A9+%26+cr%C3%A8me+100%25");
+    assert.strictEqual(postData, null);
+    assert.strictEqual(engine.key, "keyword:k");
+});
+
+test("getSubmission encodes in the bookmark's charset", () => {
+    const modules = createModules();
+    const engine = createEngine(modules, { url: "https://example.com/?q=%s", charset: "windows-1252" });
+
+    const { uri } = engine.getSubmission("café crème");
+
+    assert.strictEqual(uri.spec, "https://example.com/?q=caf%E9+cr%E8me");
+    assert.strictEqual(uri.charset, "windows-1252");
+    assert.deepStrictEqual(modules.console.calls, []);
+});
+
+test("getSubmission falls back to UTF-8 for unknown charsets", () => {
+    const modules = createModules();
+    const engine = createEngine(modules, { url: "https://example.com/?q=%s", charset: "x-unknown" });
+
+    assert.strictEqual(engine.getSubmission("café").uri.spec, "https://example.com/?q=caf%C3%A9");
+    assert.strictEqual(modules.console.calls.length, 1);
+    assert.strictEqual(modules.console.calls[0][1], "formEncode - can't encode in \"x-unknown\", using UTF-8");
+});
+
+test("getSubmission fills raw, word and page placeholders", () => {
+    const url = "https://example.com/%1/%2?raw=%S&site=%{host}&from=%{url}&title=%{title}&exact=%{URL}&pct=100%%&sp=a%20b";
+    const engine = createEngine(createModules(), { url });
+
+    const expected = "https://example.com/first/second?raw= first  second third &site=example.com" +
+        "&from=https%3A%2F%2Fexample.com%2Fa+b%3Fc&title=Example+%26+co&exact=https://example.com/a b?c&pct=100%&sp=a%20b";
+
+    assert.strictEqual(engine.getSubmission(" first  second third ").uri.spec, expected);
+});
+
+test("getSubmission escapes POST bodies for their content type", () => {
+    const modules = createModules();
+
+    const json = createEngine(modules, {
+        url: "https://example.com/api",
+        postData: "{\"query\": \"%s\", \"site\": \"%{host}\"}",
+        postContentType: "application/json",
+        postHeaders: [["X-Token", "abc"]],
+    });
+    assert.deepStrictEqual(json.getSubmission("say \"hi\"\n").postData, {
+        body: "{\"query\": \"say \\\"hi\\\"\\n\", \"site\": \"example.com\"}",
+        headers: [["Content-Type", "application/json"], ["X-Token", "abc"]],
+    });
+
+    const xml = createEngine(modules, {
+        url: "https://example.com/api",
+        postData: "<q>%s</q>",
+        postContentType: "text/xml; charset=utf-8",
+    });
+    assert.strictEqual(xml.getSubmission("a < b & 'c'").postData.body, "<q>a &lt; b &amp; &apos;c&apos;</q>");
+
+    const form = createEngine(modules, {
+        url: "https://example.com/search",
+        postData: "q=%s&lang=en",
+        charset: "windows-1252",
+    });
+    assert.strictEqual(form.getSubmission("crème brûlée").postData.body, "q=cr%E8me+br%FBl%E9e&lang=en");
+});
+
+test("getSubmission reads percent-escapes before word placeholders", () => {
+    const engine = createEngine(createModules(), { url: "https://example.com/%1a/%{1}a/%1g?q=%s" });
+
+    assert.strictEqual(engine.getSubmission("x y").uri.spec, "https://example.com/%1a/xa/xg?q=x+y");
+});
+
+test("getSubmission passes unknown and malformed placeholders through as text", () => {
+    const engine = createEngine(createModules(), { url: "https://example.com/?q=%s&off=50%&v=%{nope}&w=%x" });
+
+    assert.strictEqual(engine.getSubmission("a").uri.spec, "https://example.com/?q=a&off=50%&v=%{nope}&w=%x");
+});
+
+test("getEngineSettings ignores settings of the wrong type", () => {
+    const engineSettings = { "engine:A": "link", "engine:B": { contexts: "link", container: "work" } };
+    const modules = createModules({ prefs: { engineSettings } });
+
+    assert.deepStrictEqual(modules.engines.getEngineSettings("engine:A").contexts, modules.engines.defaultSearchContexts);
+
+    const settings = modules.engines.getEngineSettings("engine:B");
+    assert.deepStrictEqual(settings.contexts, modules.engines.defaultSearchContexts);
+    assert.strictEqual(settings.container, "work");
+    assert.deepStrictEqual(modules.console.calls, [["warn", "getEngineSettings - ignoring contexts of \"engine:B\", not an array"]]);
+});
+
+test("transformText cuts maxLength between characters outside the BMP", () => {
+    const { engines } = createModules();
+
+    const text = engines.transformText("a😀b", [{ type: "maxLength", length: 2 }]);
+
+    assert.strictEqual(text, "a😀");
+    assert.doesNotThrow(() => encodeURIComponent(engines.transformText("😀😀", [{ type: "maxLength", length: 1 }])));
+});
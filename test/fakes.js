@@ -0,0 +1,214 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+// Stand-ins for the Firefox services the `lib/` modules are given, for running them under Node.
+
+const createTemplates = require("../lib/templates");
+const createEngines = require("../lib/engines");
+const createBookmarks = require("../lib/bookmarks");
+const createSorting = require("../lib/sorting");
+const createClicks = require("../lib/clicks");
+const createMenu = require("../lib/menu");
+const createDetectors = require("../lib/detectors");
+
+// Default values of the preferences the modules read, as in `MCS.defaultPrefs`.
+const defaultPrefs = {
+    sortOrder: "alphabetical",
+    clickBehavior: "firefox",
+};
+
+/**
+ * A console which keeps what's logged instead of printing it.
+ *
+ * @return {Object} The console, with the `[method, ...args]` of each call in `calls`.
+ */
+function createConsole() {
+    const calls = [];
+    const log = method => (...args) => calls.push([method].concat(args));
+
+    return { calls, log: log("log"), info: log("info"), warn: log("warn"), error: log("error") };
+}
+
+/**
+ * Localized strings are looked up as their key followed by their arguments.
+ *
+ * @param  {String} key String key.
+ * @param  {...*} args Arguments.
+ * @return {String} The key and arguments, like "reason_duplicate(2, Search)".
+ */
+function l10n(key, ...args) {
+    return args.length > 0 ? `${key}(${args.join(", ")})` : key;
+}
+
+/**
+ * @param  {Object} [values] Add-on preference values; JSON preferences as objects.
+ * @param  {Object} [browserValues] Firefox preference values.
+ * @return {Object} Preferences, as `MCS.addonPrefs`.
+ */
+function createPrefs(values = {}, browserValues = {}) {
+    const get = (prefs, defaults) => (name, defaultValue) => {
+        if (name in prefs) {
+            return prefs[name];
+        }
+
+        return name in defaults ? defaults[name] : defaultValue;
+    };
+
+    return {
+        get: get(values, defaultPrefs),
+        getJSON: get(values, {}),
+        getBrowserPref: get(browserValues, {}),
+    };
+}
+
+/**
+ * A URI as `Services.io.newURI` makes them, with only what the add-on reads.
+ *
+ * @param  {String} spec The URI.
+ * @param  {String} [charset] Character encoding the URI was made with.
+ * @return {Object} The `{ spec, charset }` URI.
+ */
+function newURI(spec, charset) {
+    if (!/^[a-z][\w+.-]*:/i.test(spec)) {
+        throw new Error(`NS_ERROR_MALFORMED_URI: ${spec}`);
+    }
+
+    return { spec, charset: charset || "UTF-8" };
+}
+
+/**
+ * @param  {String} body POST body.
+ * @param  {String} contentType Content type of the body.
+ * @param  {Array<Array>} headers Other headers.
+ * @return {Object} The `{ body, headers }` POST data.
+ */
+function newPostData(body, contentType, headers) {
+    return { body, headers: [["Content-Type", contentType]].concat(headers) };
+}
+
+/**
+ * Encodes in windows-1252 for the few characters tests use, and knows no other encoding.
+ *
+ * @param  {String} charset Character encoding.
+ * @param  {String} value The value to encode.
+ * @return {String} The form-encoded value.
+ */
+function convertAndEscape(charset, value) {
+    if (charset.toLowerCase() !== "windows-1252") {
+        throw new Error(`NS_ERROR_UCONV_NOCONV: ${charset}`);
+    }
+
+    return Array.from(value).map(c => {
+        if (c === " ") {
+            return "+";
+        }
+        if (/[\w.*-]/.test(c)) {
+            return c;
+        }
+
+        const code = c.charCodeAt(0);
+        if (code > 0xff) {
+            throw new Error(`can't encode ${c}`);
+        }
+
+        return `%${code.toString(16).toUpperCase()}`;
+    }).join("");
+}
+
+/**
+ * Places bookmarks, as `MCS.places` reads them.
+ *
+ * @param  {Array<Object>} items The `{ id, url, title, description, parent }`
+ *                               bookmarks and `{ id, title, parent }` folders.
+ * @param  {Number} [rootFolderId] Id of the Places root.
+ * @return {Object} The bookmark access.
+ */
+function createPlaces(items, rootFolderId = 1) {
+    const byId = new Map(items.map(item => [item.id, item]));
+
+    return {
+        newURI,
+        getBookmarkIds: uri => items.filter(item => item.url === uri.spec).map(item => item.id),
+        getItemTitle: id => byId.get(id).title || "",
+        getItemDescription: id => byId.get(id).description || "",
+        getFolderId: id => (byId.has(id) ? byId.get(id).parent || rootFolderId : 0),
+        rootFolderId,
+    };
+}
+
+/**
+ * A built-in engine, as `Services.search` lists them.
+ *
+ * @param  {String} name Engine name.
+ * @param  {String} url Search URL, where `{searchTerms}` is replaced by the search text.
+ * @return {Object} The engine.
+ */
+function createSearchEngine(name, url) {
+    return {
+        name,
+        iconURI: null,
+        description: "",
+        getSubmission: searchText => ({
+            uri: newURI(url.replace("{searchTerms}", encodeURIComponent(searchText))),
+            postData: null,
+        }),
+    };
+}
+
+/**
+ * Create every `lib/` module, wired together as `index.js` does.
+ *
+ * @param  {Object} [options.prefs] Add-on preference values.
+ * @param  {Object} [options.browserPrefs] Firefox preference values.
+ * @param  {Array<Object>} [options.places] Places items, as in `createPlaces`.
+ * @param  {Object} [options.storage] Persistent storage.
+ * @param  {Object} [options.actions] Browser actions for `lib/menu`, replacing the recording ones.
+ * @return {Object} The modules, with the `console`, `storage` and recorded `actionCalls`.
+ */
+function createModules({ prefs = {}, browserPrefs = {}, places = [], storage = {}, actions = {} } = {}) {
+    const console = createConsole();
+    const addonPrefs = createPrefs(prefs, browserPrefs);
+    const actionCalls = [];
+
+    const record = (name, result) => (...args) => {
+        actionCalls.push([name].concat(args));
+        return result;
+    };
+
+    const templates = createTemplates({ l10n, convertAndEscape, console });
+    const engines = createEngines({ prefs: addonPrefs, templates, newURI, newPostData, console });
+    const bookmarks = createBookmarks({ places: createPlaces(places), templates, l10n, console });
+    const sorting = createSorting({ prefs: addonPrefs, storage, now: () => 1000, console });
+    const clicks = createClicks({ prefs: addonPrefs, engines, console });
+    const menu = createMenu({
+        contextMenuId: "contentAreaContextMenu",
+        engines,
+        clicks,
+        sorting,
+        actions: Object.assign({
+            getMruEngine: record("getMruEngine", null),
+            getPageInfo: record("getPageInfo", { url: "https://example.com/", title: "Example", host: "example.com" }),
+            confirmOpeningTabs: record("confirmOpeningTabs", true),
+            searchWithEngine: record("searchWithEngine"),
+            logSearch: record("logSearch"),
+            openSearch: record("openSearch"),
+            getUserContextId: record("getUserContextId", 0),
+        }, actions),
+        console,
+    });
+
+    const detectors = createDetectors({ prefs: addonPrefs, l10n, console });
+
+    return { templates, engines, bookmarks, sorting, clicks, menu, detectors, console, storage, actionCalls };
+}
+
+module.exports = {
+    createConsole,
+    createModules,
+    createPlaces,
+    createPrefs,
+    createSearchEngine,
+    l10n,
+    newURI,
+};
@@ -0,0 +1,197 @@
+/* This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/. */
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createModules, createSearchEngine } = require("./fakes");
+
+const google = createSearchEngine("Google", "https://www.google.com/search?q={searchTerms}");
+const bing = createSearchEngine("Bing", "https://www.bing.com/search?q={searchTerms}");
+
+/**
+ * A click on a context search menuitem.
+ *
+ * @param  {String} click Click descriptor, like "ctrl+left".
+ * @param  {Object} target Menuitem fields: `engine`, `searches`, and `searchtext` for the attribute.
+ * @return {Object} The event, and the context menu it was in.
+ */
+function createClick(click, { engine = null, searches, searchtext = "kittens" } = {}) {
+    const contextMenu = {
+        hidden: false,
+        boxObject: { screenX: 10, screenY: 20 },
+        hidePopup() {
+            this.hidden = true;
+        },
+    };
+
+    const window = {
+        document: { getElementById: id => (id === "contentAreaContextMenu" ? contextMenu : null) },
+        gBrowser: { selectedBrowser: { currentURI: "https://example.com/" } },
+    };
+
+    const parts = click.split("+");
+    const event = {
+        button: ["left", "middle", "right", "back"].indexOf(parts.pop()),
+        ctrlKey: parts.indexOf("ctrl") !== -1,
+        altKey: parts.indexOf("alt") !== -1,
+        shiftKey: parts.indexOf("shift") !== -1,
+        metaKey: parts.indexOf("meta") !== -1,
+        view: window,
+        target: { engine, searches, getAttribute: name => (name === "searchtext" ? searchtext : null) },
+    };
+
+    return { event, window, contextMenu };
+}
+
+/**
+ * @param  {Object} modules Modules, from `createModules`.
+ * @param  {String} click Click descriptor.
+ * @param  {Object} [target] Menuitem fields, as in `createClick`.
+ * @return {Array<String>} Where each search was sent: the target given to
+ *                         `searchWithEngine`, or `whereToOpen` given to `openSearch`.
+ */
+function clickTargets(modules, click, target = { engine: google }) {
+    modules.menu.onMenuClicked(createClick(click, target).event);
+
+    return modules.actionCalls.
+        filter(([name]) => name === "searchWithEngine" || name === "openSearch").
+        map(([name, options]) => (name === "searchWithEngine" ? options.target : options.whereToOpen));
+}
+
+test("onMenuClicked opens searches where the default click actions say", () => {
+    const targets = ["left", "ctrl+left", "shift+left", "ctrl+shift+left", "middle", "right", "alt+left", "ctrl+middle"].
+        map(click => clickTargets(createModules(), click));
+
+    assert.deepStrictEqual(targets, [
+        ["default"],
+        ["foreground"],
+        ["window"],
+        ["private"],
+        ["foreground"],
+        ["current"],
+        ["default"],
+        ["foreground"],
+    ]);
+});
+
+test("onMenuClicked ignores other buttons", () => {
+    const modules = createModules();
+    const { event, contextMenu } = createClick("back", { engine: google });
+
+    modules.menu.onMenuClicked(event);
+
+    assert.deepStrictEqual(modules.actionCalls, []);
+    assert.strictEqual(contextMenu.hidden, false);
+});
+
+test("onMenuClicked follows the clickActions preference and engine openIn settings", () => {
+    const prefs = {
+        clickActions: { "middle": "background", "shift+left": "preview" },
+        engineSettings: {
+            "engine:Bing": { openIn: "window" },
+            "keyword:w": { openIn: { right: "foreground" } },
+        },
+    };
+    const wikipedia = { key: "keyword:w", name: "Wikipedia" };
+
+    assert.deepStrictEqual(clickTargets(createModules({ prefs }), "middle"), ["background"]);
+    assert.deepStrictEqual(clickTargets(createModules({ prefs }), "shift+left"), ["preview"]);
+    assert.deepStrictEqual(clickTargets(createModules({ prefs }), "ctrl+left"), ["foreground"]);
+    assert.deepStrictEqual(clickTargets(createModules({ prefs }), "middle", { engine: bing }), ["window"]);
+    assert.deepStrictEqual(clickTargets(createModules({ prefs }), "right", { engine: wikipedia }), ["foreground"]);
+    assert.deepStrictEqual(clickTargets(createModules({ prefs }), "middle", { engine: wikipedia }), ["background"]);
+});
+
+test("onMenuClicked searches the menu's text with the most recently used engine", () => {
+    const modules = createModules({ actions: { getMruEngine: () => bing } });
+    const { event, contextMenu } = createClick("left", { searchtext: "puppies" });
+
+    modules.menu.onMenuClicked(event);
+
+    const [name, options] = modules.actionCalls.find(([name]) => name === "searchWithEngine");
+    assert.strictEqual(name, "searchWithEngine");
+    assert.deepStrictEqual(options.search, { engine: bing, searchText: "puppies" });
+    assert.deepStrictEqual(options.anchor, { screenX: 10, screenY: 20 });
+    assert.deepStrictEqual(options.page, { url: "https://example.com/", title: "Example", host: "example.com" });
+    assert.strictEqual(contextMenu.hidden, true);
+});
+
+test("onMenuClicked doesn't search without an engine or text", () => {
+    const noEngine = createModules();
+    noEngine.menu.onMenuClicked(createClick("left").event);
+
+    const noText = createModules();
+    noText.menu.onMenuClicked(createClick("left", { engine: google, searchtext: "" }).event);
+
+    assert.deepStrictEqual(noEngine.console.calls, [["warn", "onMenuClicked - missing engine"]]);
+    assert.deepStrictEqual(noText.console.calls, [["warn", "onMenuClicked - missing [searchtext]"]]);
+    assert.deepStrictEqual(noEngine.actionCalls.concat(noText.actionCalls).map(([name]) => name), ["getMruEngine"]);
+});
+
+test("onMenuClicked opens groups in tabs, the first in the foreground", () => {
+    const searches = [
+        { engine: google, searchText: "kittens" },
+        { engine: bing, searchText: "kittens" },
+        { engine: google, searchText: "kittens" },
+    ];
+
+    const modules = createModules();
+    assert.deepStrictEqual(clickTargets(modules, "left", { searches }), ["tab", "tabshifted", "tabshifted"]);
+    assert.deepStrictEqual(modules.storage.usage, {
+        "engine:Google": { count: 1, lastUsed: 1000 },
+        "engine:Bing": { count: 1, lastUsed: 1000 },
+    });
+
+    const background = createModules({ prefs: { clickBehavior: "background" } });
+    assert.deepStrictEqual(clickTargets(background, "left", { searches }), ["tabshifted", "tabshifted", "tabshifted"]);
+
+    const firefoxBackground = createModules({ browserPrefs: { "browser.search.context.loadInBackground": true } });
+    assert.deepStrictEqual(clickTargets(firefoxBackground, "left", { searches }), ["tabshifted", "tabshifted", "tabshifted"]);
+});
+
+test("onMenuClicked doesn't open groups for private targets", () => {
+    const searches = [{ engine: google, searchText: "kittens" }, { engine: bing, searchText: "kittens" }];
+    const modules = createModules();
+    const { event, contextMenu } = createClick("ctrl+shift+left", { searches });
+
+    modules.menu.onMenuClicked(event);
+
+    assert.deepStrictEqual(modules.actionCalls, []);
+    assert.strictEqual(modules.storage.usage, undefined);
+    assert.strictEqual(contextMenu.hidden, false);
+    assert.deepStrictEqual(modules.console.calls, [["warn", "onMenuClicked - groups can't be opened in a private window"]]);
+});
+
+test("onMenuClicked asks before opening many tabs", () => {
+    const modules = createModules({ actions: { confirmOpeningTabs: (window, count) => count < 2 } });
+    const searches = [{ engine: google, searchText: "a" }, { engine: bing, searchText: "a" }];
+
+    assert.deepStrictEqual(clickTargets(modules, "left", { searches }), []);
+    assert.deepStrictEqual(clickTargets(modules, "left"), ["default"]);
+});
+
+test("getOpenParams resolves the default target from the clickBehavior preference", () => {
+    const firefox = createModules().clicks;
+    assert.deepStrictEqual(firefox.getOpenParams("default"), { whereToOpen: "tab", inBackground: false, isPrivate: false });
+
+    const current = createModules({ prefs: { clickBehavior: "current" } }).clicks;
+    assert.deepStrictEqual(current.getOpenParams("default"), { whereToOpen: "current", inBackground: false, isPrivate: false });
+
+    const modules = createModules();
+    assert.deepStrictEqual(modules.clicks.getOpenParams("private"), { whereToOpen: "window", inBackground: false, isPrivate: true });
+    assert.deepStrictEqual(modules.clicks.getOpenParams("nowhere"), { whereToOpen: "tab", inBackground: false, isPrivate: false });
+    assert.deepStrictEqual(modules.console.calls, [["warn", "getOpenParams - unknown target \"nowhere\""]]);
+});
+
+test("getMenuModel lists the engines that apply to the context", () => {
+    const { menu } = createModules({ prefs: { engineSettings: { "engine:Google": { contexts: ["link"] } } } });
+
+    const model = menu.getMenuModel({ engines: [bing, google], mruEngine: google, contextTexts: { selection: "  a  b " } });
+
+    assert.deepStrictEqual(model.menuSearch, { engine: bing, searchText: "a b", searchContext: "selection" });
+    assert.deepStrictEqual(model.engineSearches, [{ engine: bing, searchText: "a b", searchContext: "selection" }]);
+
+    const link = menu.getMenuModel({ engines: [bing, google], mruEngine: google, contextTexts: { link: "https://a.example/" } });
+    assert.deepStrictEqual(link.menuSearch, { engine: google, searchText: "https://a.example/", searchContext: "link" });
+});